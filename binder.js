@@ -17,6 +17,8 @@
  * - data-style: Dynamic inline styles
  * - data-onclick: Click event handlers with state mutations
  * - data-onchange: Change event handlers for form inputs
+ * - data-link: In-app navigation updating state from the URL
+ * - data-form / data-validate: Form validation with state in $form
  * - data-template: Reusable templates
  * - data-render: Template rendering
  * 
@@ -45,6 +47,26 @@ class JSBinder
      * 
      * @param {Object} [options={}] - Configuration options for the JSBinder instance.
      * @param {HTMLElement} [options.root=document.body] - The root DOM element to bind to. All bindings will be scoped to this element and its descendants.
+     * @param {boolean} [options.strict=false] - Throw errors for incorrect expressions and directives instead of logging them.
+     * @param {boolean|Object} [options.history=false] - Enable undo/redo history, with `true` for default settings.
+     * @param {number} [options.history.depth=100] - Maximum number of undo steps.
+     * @param {number} [options.history.group=0] - Changes within this number of milliseconds from the previous change are grouped into one step.
+     * @param {string[]} [options.history.exclude=[]] - State paths not recorded in the history, e.g. transient UI flags. Wildcards (`*`) are allowed.
+     * @param {Object} [options.persist] - Persist state to `localStorage` or `sessionStorage`. The stored state is restored before the first render.
+     * @param {string} options.persist.key - Storage key.
+     * @param {string[]} [options.persist.paths] - Property paths to persist, e.g. `prefs` or `user.settings`. The whole state when omitted.
+     * @param {string} [options.persist.storage='local'] - `'local'` or `'session'`.
+     * @param {number} [options.persist.version=1] - Version of the stored data. Stored data of other versions is passed to `migrate`, or ignored.
+     * @param {Function} [options.persist.migrate] - Called with `(state, version)` for data stored by another version, returning the state to restore.
+     * @param {number} [options.persist.debounce=100] - Milliseconds to wait for more changes before writing.
+     * @param {boolean|string} [options.persist.sync=false] - Apply changes from other tabs, by the `storage` event (`'storage'`) or a `BroadcastChannel` (`'broadcast'`).
+     *   `true` uses the `storage` event for local storage and a `BroadcastChannel` for session storage.
+     * @param {Object} [options.url] - Sync state paths with the URL query string or hash, applying the URL before the first render.
+     * @param {Object} options.url.params - Parameter names mapped to property paths, or to `{ path, type, default, push }`.
+     *   `type` is `'string'`, `'number'`, `'boolean'` or `'array'` (comma separated), by default the type of `default`.
+     *   Values equal to `default` are left out of the URL.
+     * @param {string} [options.url.mode='query'] - `'query'` (`?page=2`) or `'hash'` (`#page=2`).
+     * @param {boolean} [options.url.push=true] - Add browser history entries for changes (`pushState`), or replace the current one (`replaceState`). Can be set per parameter.
      * 
      * @example
      * // Bind to document.body (default)
@@ -53,13 +75,25 @@ class JSBinder
      * @example
      * // Bind to specific element
      * const binder = new JSBinder({ root: document.querySelector('#app') });
+     * 
+     * @example
+     * // Undo/redo history, grouping typing into one step
+     * const binder = new JSBinder({ history: { depth: 50, group: 500, exclude: ['menuOpen', 'items[*].editing'] } });
+     * 
+     * @example
+     * // Persist preferences and drafts, synced between tabs
+     * const binder = new JSBinder({ persist: { key: 'app', paths: ['prefs', 'draft'], version: 2, migrate: (state, version) => ({ ...state, prefs: { theme: 'light' } }), sync: true } });
+     * 
+     * @example
+     * // Shareable filter and paging, ?q=lamp&page=2
+     * const binder = new JSBinder({ url: { params: { q: { path: 'filter.text', default: '', push: false }, page: { path: 'paging.page', default: 1 } } } });
      */
     constructor(options = {})
     {
         if (!JSBinder.#isPlainObject(options))
             throw new Error(JSBinder.#message(`'options' must be an object`));
 
-        this.#settings = { root: document.body, ...options };
+        this.#settings = { root: document.body, strict: false, history: false, persist: false, url: false, ...options };
         
         if (!this.#settings.root)
             throw new Error(JSBinder.#message('Can not find the root element'));
@@ -70,13 +104,26 @@ class JSBinder
         this.#settings.root.dataset.jsbinder = "";
 
         this.#abortController = new AbortController();
+
+        if (this.#settings.persist) {
+            this.#persistence = this.#createPersistence(this.#settings.persist);
+            this.#restorePersisted(this.#readStorage());
+        }
+
+        if (this.#settings.url) {
+            this.#urlSync = this.#createUrlSync(this.#settings.url);
+            this.#applyUrl();
+        }
+
+        if (this.#settings.history)
+            this.#history = this.#createHistory(this.#settings.history === true ? {} : this.#settings.history);
     };
 
     #abortController;
     #settings;
 
     static #message = (msg) => `JSBinder: ${msg}`;
-    static #error = (msg) => console.error(JSBinder.#message(msg));
+    static #error = (msg, ...details) => console.error(JSBinder.#message(msg), ...details);
     static #info = (msg) => console.info(JSBinder.#message(msg));
     static #warn = (msg) => console.warn(JSBinder.#message(msg));
 
@@ -84,10 +131,12 @@ class JSBinder
 
     static #isPlainObject = (obj) => obj !== null && typeof obj === 'object' && !Array.isArray(obj);
     static #isNullish = (x) => [undefined, null, ""].includes(x);
+    static #isForbiddenKey = (key) => ["__proto__", "constructor", "prototype"].includes(String(key));
 
     // Removes and returnes one or more dataset attributes from a DOM element as list or single.
-    static #consumeDataset = (obj) => (...keys) => JSBinder.#unwrapSingleArray(keys.map(key => { const data = obj.dataset[key]?.trim().replace(/\s\s+/g, " ") ?? null; obj.removeAttribute(`data-${key}`); return data; }));
-    static #split = (input) => input.split(";").map(x => x.trim()).filter(x => x !== ""); // Improvement: Do not split inside any strings. 
+    static #consumeDataset = (obj) => (...keys) => JSBinder.#unwrapSingleArray(keys.map(key => { const data = obj.dataset[key]?.trim().replace(/\s\s+/g, " ") ?? null; obj.removeAttribute(`data-${key.replace(/[A-Z]/g, (x) => `-${x.toLowerCase()}`)}`); return data; }));
+    static #split = (input) => JSBinder.#Lexer.split(input, ";").map(x => x.trim()).filter(x => x !== ""); // Does not split inside strings or brackets.
+    static #splitIndexed = (input) => { let i = 0; return JSBinder.#Lexer.split(input, ";").map(x => { const part = { text: x.trim(), index: i + x.length - x.trimStart().length }; i += x.length + 1; return part; }).filter(x => x.text !== ""); }; // Like #split, with each part's index in 'input'.
 
     // Clean HTML string from comments etc.
     static #cleanHTML = (html) => 
@@ -108,14 +157,83 @@ class JSBinder
     // JSBinder.#apply(args)(fn); Ex: JSBinder.#apply(getA(), getB(), ...)((a,b,...) => { /* ... */ });
     static #apply = (...x) => (f) => f(...x);
 
-    // Get outermost bracket contents from string. Ex: JSBinder.#fromBrackets("aa[bb][cc[dd]]") >> ["bb", "cc[dd]"]
-    static #fromBrackets = function* (str) { let start = -1, depth = 0; for (let i = 0; i < str.length; i++) { if (str[i] === '[') { if (depth === 0) start = i; depth++; } else if (str[i] === ']') { depth--; if (depth === 0 && start !== -1) { yield str.slice(start + 1, i); start = -1; } } } };
+    // Least recently used cache. Evicts the oldest entry when more than 'size' entries are stored.
+    // let cache = new JSBinder.#LRUCache(100);
+    // cache.get(key) ?? cache.set(key, value) >> value
+    static #LRUCache = class {
+        #map = new Map();
+        #size;
+        constructor(size) { this.#size = size; }
+        get = (key) => { if (!this.#map.has(key)) return undefined; const value = this.#map.get(key); this.#map.delete(key); this.#map.set(key, value); return value; };
+        set = (key, value) => { this.#map.delete(key); this.#map.set(key, value); if (this.#map.size > this.#size) this.#map.delete(this.#map.keys().next().value); return value; };
+    };
+
+    static #EXPRESSION_CACHE_SIZE = 1000;
+
+    // String-aware scanning shared by the tokenizer, directive splitting and interpolations.
+    // Skips over '...', "..." and `...${...}...` literals (including escapes) and tracks (), [] and {} nesting.
+    static #Lexer = class {
+        static #BRACKETS = { "(": ")", "[": "]", "{": "}" };
+        static #ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", v: "\v", 0: "\0" };
+
+        static isQuote = (char) => ["'", '"', "`"].includes(char);
+
+        // Returns the index after the literal starting at 'index', or -1 if it is not terminated.
+        // ("'it\\'s' + x", 0) >> 7
+        static skipLiteral = (input, index) => {
+            const quote = input[index];
+
+            for (let i = index + 1; i < input.length; i++) {
+                if (input[i] === "\\") { i++; continue; }
+                if (input[i] === quote) return i + 1;
+
+                // Template interpolation. `a ${b} c`
+                if (quote === "`" && input.startsWith("${", i)) {
+                    i = JSBinder.#Lexer.scan(input, i + 2, (j, depth) => depth === 0 && input[j] === "}");
+                    if (i >= input.length) return -1;
+                }
+            }
+
+            return -1;
+        };
+
+        // Walks the code from 'index' and returns the index of the first character outside literals where 'stop(index, depth)' is true.
+        // Returns the input length if there is none. Unterminated literals extend to the end of input.
+        static scan = (input, index, stop) => {
+            const brackets = [];
+
+            for (let i = index; i < input.length; i++) {
+                if (stop(i, brackets.length)) return i;
+
+                if (JSBinder.#Lexer.isQuote(input[i])) {
+                    const end = JSBinder.#Lexer.skipLiteral(input, i);
+                    if (end < 0) return input.length;
+                    i = end - 1;
+                }
+                else if (Object.hasOwn(JSBinder.#Lexer.#BRACKETS, input[i])) brackets.push(JSBinder.#Lexer.#BRACKETS[input[i]]);
+                else if (input[i] === brackets.at(-1)) brackets.pop();
+            }
+
+            return input.length;
+        };
+
+        // Splits on 'separator' outside literals and brackets. ("a = 'x;y'; b = [1;2]", ";") >> ["a = 'x;y'", " b = [1;2]"]
+        static split = (input, separator) => {
+            const parts = [];
+
+            for (let i = 0; i <= input.length;) {
+                const end = JSBinder.#Lexer.scan(input, i, (j, depth) => depth === 0 && input[j] === separator);
+                parts.push(input.slice(i, end));
+                i = end + 1;
+            }
+
+            return parts;
+        };
 
-    // "months[m - 1]" >> ["m - 1"]
-    static #getInnerExpressions = (str) =>
-        JSBinder.#fromBrackets(str)
-            .filter(x => !x.match(/^\{([a-zA-Z0-9_]+)\}$/)) // Skip full {index_key}
-            .filter(x => !x.match(/^\d+$/)); // Skip full integers
+        // Resolves escape sequences in the content of a literal. "a\\nb" >> "a\nb", "\\u00e9" >> "é"
+        static unescape = (input) => input.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (_, x) =>
+            x.length > 1 ? String.fromCodePoint(parseInt(x.replace(/^[ux]\{?|\}$/g, ""), 16)) : (JSBinder.#Lexer.#ESCAPES[x] ?? x));
+    };
 
     static #alphaNumericSorter = new class {
         #isNumeric = (val) => typeof val === 'number' || (!isNaN(val) && !isNaN(parseFloat(val)));
@@ -125,6 +243,12 @@ class JSBinder
     #indexMap = new Map();
     #state = {};
     #functions = {};
+    #filters = {};
+    #computed = {};
+    #computing = [];
+    #stateVersion = 0;
+    #expressionCache = new JSBinder.#LRUCache(JSBinder.#EXPRESSION_CACHE_SIZE);
+    #reportedErrors = new Set();
 
     /**
      * Updates the state object and triggers a refresh of all bindings.
@@ -132,7 +256,7 @@ class JSBinder
      * State updates are shallow-merged. Setting a property to `undefined` removes it from the state.
      * 
      * @param {Object|Function} data - The state updates to apply, or a function that receives current state and returns updates.
-     * @returns {void}
+     * @returns {Promise<void>} Resolves when the DOM has been updated, see `settled()`.
      * 
      * @example
      * // Object update
@@ -151,28 +275,48 @@ class JSBinder
      * binder.setState((current) => ({ 
      *   items: [...current.items, { id: 4, name: 'New Item' }] 
      * }));
+     * 
+     * @example
+     * // Wait for the DOM update
+     * await binder.setState({ editing: true });
+     * document.querySelector('#title-input').focus();
      */
     setState = (data) => {
         if (typeof data === "function" && data.length === 1) data = data(this.getState());
 
-        if (!JSBinder.#isPlainObject(data))
-            return JSBinder.#error(`'setState' requires an object or a function with a single attribute returning an object as input`);
+        if (!JSBinder.#isPlainObject(data)) {
+            JSBinder.#error(`'setState' requires an object or a function with a single attribute returning an object as input`);
+            return this.#updated();
+        }
 
-        const recurse = (state, updates) => {
-            Object.keys(updates).forEach((key) => { if (updates[key] === undefined) { delete state[key]; } else { state[key] = JSBinder.#isPlainObject(updates[key]) ? recurse(state[key] || {}, updates[key]) : updates[key]; } });
+        if (this.#origin === null && this.#persistence?.restored)
+            data = JSBinder.#keepRestored(data, this.#persistence.restored);
+
+        // Merges 'updates' into 'state', collecting the changed values. Merged objects are not changed themselves, nor are equal values.
+        // Values inside new objects are not collected, the new object is. ('collect' false)
+        const changes = [];
+        const recurse = (state, updates, path, collect = true) => {
+            Object.keys(updates).forEach((key) => {
+                const merged = JSBinder.#isPlainObject(updates[key]) && JSBinder.#isPlainObject(state[key]);
+                const oldValue = state[key];
+                if (updates[key] === undefined) { delete state[key]; } else { state[key] = JSBinder.#isPlainObject(updates[key]) ? recurse(state[key] || {}, updates[key], [...path, key], collect && merged) : updates[key]; }
+                if (collect && !merged && !JSBinder.#deepEqual(oldValue, state[key])) changes.push({ path: [...path, key], oldValue, newValue: state[key] });
+            });
             return state;
         };
 
-        this.#state = recurse(this.#state, data);
-        this.#stateUpdated = true;
-        this.#needsRefresh = true;
-        this.#queueTasks();
+        this.#state = recurse(this.#state, data, []);
+        if (changes.length > 0) this.#stateChanged(changes.map((x) => x.path), changes, "setState");
+        return this.#updated();
     };
 
     /**
      * Returns a deep clone of the current state object.
      * The returned object is a copy and modifications to it will not affect the actual state.
+     * Computed properties are only included when `computed` is set.
      * 
+     * @param {Object} [options] - Snapshot options.
+     * @param {boolean} [options.computed=false] - Include the current values of computed properties.
      * @returns {Object} A deep clone of the current state.
      * 
      * @example
@@ -183,328 +327,1813 @@ class JSBinder
      * // Safe to modify without affecting state
      * const state = binder.getState();
      * state.count = 999; // Does not change the actual state
+     * 
+     * @example
+     * // Include computed properties
+     * const { canCheckout } = binder.getState({ computed: true });
      */
-    getState = () => window.structuredClone(this.#state);
-    
+    getState = ({ computed = false } = {}) => {
+        this.#recordRead([]); // Called from a function while refreshing, the binding depends on the whole state.
+        return window.structuredClone(computed ? { ...this.#state, ...Object.fromEntries(Object.keys(this.#computed).map((name) => [name, this.#computedValue(name)])) } : this.#state);
+    };
+
     /**
-     * Registers a custom function that can be used in data binding expressions.
-     * Functions are called with a single argument and prefixed with `#` in expressions.
+     * Sets a value by path. Missing objects on the way are created, or arrays for numeric keys. Other values on the way are reported as errors.
+     * Changes are batched into a single refresh like `setState()`.
      * 
-     * @param {string} name - The function name (must be a valid JavaScript identifier without the # prefix).
-     * @param {Function} method - A function that takes exactly one argument and returns a value.
-     * @returns {void}
+     * @param {string} path - The state path, e.g. `user.name` or `items[3].done`.
+     * @param {*} value - The new value.
+     * @returns {Promise<void>} Resolves when the DOM has been updated.
      * 
      * @example
-     * // Register a rounding function
-     * binder.addFunction('round', (x) => Math.round(x));
+     * binder.set('items[3].done', true);
+     * binder.set('settings.theme.color', 'dark'); // Creates 'settings' and 'theme' when missing.
+     */
+    set = (path, value) => {
+        const keys = this.#statePath("set", path);
+        if (keys !== null) this.#mutateState(keys, value, true);
+        return this.#updated();
+    };
+
+    /**
+     * Returns a deep clone of the value at a path, or undefined if it does not exist. Computed properties can be read.
+     * 
+     * @param {string} path - The state path, e.g. `user.name` or `items[3].done`.
+     * @returns {*} A copy of the value.
      * 
      * @example
-     * // Use in HTML
-     * // <span>{{#round(value)}}</span>
-     * // If value = 5.7, displays: <span>6</span>
+     * const done = binder.get('items[3].done');
      */
-    addFunction = (name, method) => {
-        if (!name.match(/^[a-zA-Z]{1}[0-9a-zA-Z_]*$/))
-            return JSBinder.#error(`'addFunction' parameter 'name' must be a correct variable name`);
-
-        if (typeof method !== "function" || method.length !== 1)
-            return JSBinder.#error(`'addFunction' 'method' must be a function with a single argument`);
-
-        this.#functions = { ...this.#functions, ["#"+name]: method };
+    get = (path) => {
+        const keys = this.#statePath("get", path);
+        if (keys !== null) this.#recordRead(keys); // Called from a function while refreshing, the binding depends on the path.
+        return keys !== null ? JSBinder.#clone(this.#readValue(keys)) : undefined;
     };
 
-    // Creates a path from expression. "data[0].title" >> ["data", 0, "title"]
-    #createPath = (exp) => {
-        const path = exp
-            .replace(/\{([a-zA-Z0-9_]+)\}/g, (_, key) => this.#indexMap.get(key)) // "{index_key}" >> index.
-            .replace(/\[(\d+)\]/g, ".$1.") // array[1] >> array.1.
-            .replace(/\.+/g, ".") // ".." >> "."
-            .replace(/^\./g, "") // ".aa.bb" >> "aa.bb"
-            .replace(/\.$/g, "") // "aa.bb." >> "aa.bb"
-            .split(".");
+    /**
+     * Adds items to the end of the array at a path. A missing array is created.
+     * 
+     * @param {string} path - The state path of the array.
+     * @param {...*} items - Items to add.
+     * @returns {Promise<number|undefined>} Resolves to the new length of the array when the DOM has been updated.
+     * 
+     * @example
+     * binder.push('cart.items', { id: 4, qty: 1 });
+     */
+    push = (path, ...items) => {
+        const found = this.#arrayAt("push", path);
+        if (found === null) return this.#updated();
+
+        const [array, keys] = found;
+        const result = [...array, ...items];
+        const assigned = this.#mutateState(keys, result, true);
+        return this.#updated().then(() => assigned ? result.length : undefined);
+    };
 
-        if (path.some(x => ["__proto__", "constructor", "prototype"].includes(x)))
-            throw new Error(JSBinder.#message("Path includes forbidden keywords"));
+    /**
+     * Removes items from the array at a path, by index or by a predicate function removing all matching items.
+     * 
+     * @param {string} path - The state path of the array.
+     * @param {number|Function} match - Index of the item (negative counts from the end), or a function called with `(item, index)`.
+     * @returns {Promise<Array|undefined>} Resolves to the removed items when the DOM has been updated.
+     * 
+     * @example
+     * binder.remove('todos', 0);
+     * binder.remove('todos', (todo) => todo.done);
+     */
+    remove = (path, match) => {
+        if (typeof match !== "function" && !Number.isInteger(match)) {
+            JSBinder.#error(`'remove' parameter 'match' must be an index or a function`);
+            return this.#updated();
+        }
 
-        return path;
-    };
+        const found = this.#arrayAt("remove", path);
+        if (found === null) return this.#updated();
 
-    // Returns value from state, or returns evaluated if 'exp' is a base-object or string.
-    #resolveValue = (exp) => {
-        if (typeof exp !== "string") return exp; // true / false / null / undefined / numeric... etc.
+        const [array, keys] = found;
+        const index = match < 0 ? array.length + match : match;
+        const matched = array.map((item, i) => typeof match === "function" ? !!match(item, i) : i === index);
+        const removed = array.filter((_, i) => matched[i]);
 
-        exp = exp.trim();
+        const assigned = removed.length === 0 || this.#mutateState(keys, array.filter((_, i) => !matched[i]), true);
+        return this.#updated().then(() => assigned ? removed : undefined);
+    };
 
-        if (exp.match(/^-?\d+$/)) return parseInt(exp); //int
-        if (exp.match(/^-?\d+\.\d+$/)) return parseFloat(exp); //float
-        if (exp.match(/^(['"]).*\1$/)) return exp.substr(1,exp.length-2); //string ('text' or "text")
-        if (exp === "true") return true;
-        if (exp === "false") return false;
-        if (exp === "null") return null;
-        if (exp === "undefined") return undefined;
-        if (exp === "Infinity") return Infinity;
-        if (exp === "NaN") return NaN;
+    /**
+     * Inserts an item at an index of the array at a path. A missing array is created.
+     * 
+     * @param {string} path - The state path of the array.
+     * @param {number} index - Index to insert at (negative counts from the end).
+     * @param {*} item - The item to insert.
+     * @returns {Promise<number|undefined>} Resolves to the new length of the array when the DOM has been updated.
+     * 
+     * @example
+     * binder.insert('todos', 0, { title: 'First', done: false });
+     */
+    insert = (path, index, item) => {
+        if (!Number.isInteger(index)) {
+            JSBinder.#error(`'insert' parameter 'index' must be an integer`);
+            return this.#updated();
+        }
 
-        JSBinder.#getInnerExpressions(exp).forEach(x => JSBinder.#apply(this.#evaluate(x))((evaluated) => exp = exp.replace(`[${x}]`, `.${evaluated}.`)));
+        const found = this.#arrayAt("insert", path);
+        if (found === null) return this.#updated();
 
-        return this.#createPath(exp).reduce((x, key) => (x === undefined || x[key] === undefined) ? undefined : x[key], this.#state);
+        const [array, keys] = found;
+        const result = array.toSpliced(index, 0, item);
+        const assigned = this.#mutateState(keys, result, true);
+        return this.#updated().then(() => assigned ? result.length : undefined);
     };
 
-    // Mutates state by updating or removing a value
-    #mutateState = (exp, value) => {
-        const path = this.#createPath(exp.trim());
-        const key = path.pop();
+    /**
+     * Inverts the boolean value at a path. A missing value becomes `true`.
+     * 
+     * @param {string} path - The state path, e.g. `menuOpen` or `todos[2].done`.
+     * @returns {Promise<boolean|undefined>} Resolves to the new value when the DOM has been updated.
+     * 
+     * @example
+     * binder.toggle('todos[2].done');
+     */
+    toggle = (path) => {
+        const keys = this.#statePath("toggle", path);
+        if (keys === null) return this.#updated();
 
-        const target = path.reduce((x, key) => (x === undefined || x[key] === undefined) ? undefined : x[key], this.#state);
-        if (target) {
-            target[key] = value;
-            this.#stateUpdated = true;
-            this.#needsRefresh = true;
-            this.#queueTasks();
-        }
+        const value = !this.#readState(keys);
+        const assigned = this.#mutateState(keys, value, true);
+        return this.#updated().then(() => assigned ? value : undefined);
     };
 
-     // Expression solver - Parses and evaluates JavaScript-like expressions in bindings.
-     // Handles operators, functions, ternary expressions, and respects operator precedence.
-    static #Solver = class {
-        static #OPERATORS = new Set(["?", ":", "(", ")", "!!", "!", "~", "<<", ">>", ">>>", "**", "*", "/", "%", "+", "-", ">=", ">", "<=", "<", "===", "==", "!==", "!=", "&", "^", "|", "&&", "||", "??"]);
+    // Parses a path given to the public path methods. Wildcards are not allowed.
+    #statePath = (method, path) => {
+        const keys = JSBinder.#parsePath(path);
 
-        static #isFunction = (x) => typeof x === "string" && !!x.match(/^#[a-zA-Z]{1}[0-9a-zA-Z_]*$/);
-        static #isOperator = (x) => typeof x === "string" && JSBinder.#Solver.#OPERATORS.has(x);
+        if (keys === null || keys.includes("*")) {
+            JSBinder.#error(`'${method}' parameter 'path' must be a correct path without wildcards`);
+            return null;
+        }
 
-        // Tokenizer - Handles string parsing and token extraction.
-        static #Tokenizer = class {
-            #stringMap = new Map();
-            #expressionMap = new Map();
-
-            // Extract strings and temporary replace with placeholder.
-            // "..." & '...' >> "{{str#index#}}"
-            extractStrings = (exp) => {
-                [...String(exp).matchAll(/'[^']*'|"[^"]*"/g)].forEach(([text], index) => {
-                    this.#stringMap.set(index, text);
-                    exp = exp.replace(text, `{{str${index}}}`);
-                });
-                return exp;
-            };
+        return keys;
+    };
 
-            // Extract inner expressions and temporary replace with placeholder.
-            // "[...]" >> "[{{exp#index#}}]"
-            extractExpressions = (exp) => {
-                JSBinder.#getInnerExpressions(exp).forEach((match, index) => {
-                    this.#expressionMap.set(index, match);
-                    exp = exp.replace(`[${match}]`, `[{{exp${index}}}]`);
-                });
-                return exp;
-            };
+    // Returns [array, keys] for the array at a path, or an empty array if it is missing. Reports other values as errors and returns null.
+    // The array is not to be mutated, the helpers assign a changed copy so watchers and history see a new value.
+    #arrayAt = (method, path) => {
+        const keys = this.#statePath(method, path);
+        if (keys === null) return null;
 
-            // Restore inner expressions.
-            // "[{{exp#index#}}]" >> "[...]"
-            restoreExpressions = (parts) => {
-                parts = parts.map((x) => x.replace(/\{\{exp(\d+)\}\}/g, (_, index) => this.#expressionMap.get(parseInt(index))));
-                return parts;
-            };
+        if (Object.hasOwn(this.#computed, keys[0])) {
+            JSBinder.#error(`Computed property '${keys[0]}' can not be assigned`);
+            return null;
+        }
 
-            // Restore strings.
-            // "{{str#index#}}" >> "..." & '...'
-            restoreStrings = (parts) => {
-                parts = parts.map((x) => {
-                    const m = x.match(/^\{\{str(\d+)\}\}$/);
-                    if (m) return this.#stringMap.get(parseInt(m[1])); // lägg till " ?? 'undefined_temp_value'" etc..?
-                    return x;
-                });
-                return parts;
-            };
-        };
+        const array = this.#readState(keys) ?? [];
 
-        // TreeBuilder - Constructs the AST from tokens.
-        static #TreeBuilder = class {
-            #parts;
-            #pos = 0;
+        if (!Array.isArray(array)) {
+            JSBinder.#error(`'${method}' requires an array at '${path}'`);
+            return null;
+        }
 
-            constructor(parts)
-            {
-                this.#parts = parts;
-            }
+        return [array, keys];
+    };
 
-            build = () => this.#parseExpression();
+    /**
+     * Validates all fields of a `data-form`, marking them as touched, and waits for async validators.
+     * 
+     * @param {string} form - The form name given in `data-form`.
+     * @returns {Promise<boolean>} Resolves to true if the form is valid.
+     * 
+     * @example
+     * // <form data-form="signup"> ... </form>
+     * document.querySelector('form').addEventListener('submit', async (e) => {
+     *   e.preventDefault();
+     *   if (await binder.validate('signup')) sendSignup(binder.getState().signup);
+     * });
+     */
+    validate = (form) => this.#validateDirective.validate(form);
 
-            #parseExpression = () => {
-                let output = [];
+    /**
+     * Resets `touched` and `dirty` of all fields of a `data-form`, making the current values the initial ones.
+     * 
+     * @param {string} form - The form name given in `data-form`.
+     * @returns {void}
+     * 
+     * @example
+     * binder.setState({ signup: { name: '', email: '' } });
+     * binder.resetForm('signup');
+     */
+    resetForm = (form) => this.#validateDirective.reset(form);
 
-                // ["(", "1", "+", "1", ")", "/", "2"] >> [["1", "+", "1"], "/", "2"]
-                while (this.#pos < this.#parts.length) {
-                    if (this.#parts[this.#pos] === "(") { this.#pos++; output.push(JSBinder.#unwrapSingleArray(this.#parseExpression())); }
-                    else if (this.#parts[this.#pos] === ")") { this.#pos++; break; }
-                    else { output.push(this.#parts[this.#pos]); this.#pos++ }
-                }
+    // Validation state of the forms, available as '$form' in expressions. See #validateDirective.
+    // { signup: { valid, pending, touched, dirty, fields: { name: { value, valid, pending, errors, message, touched, dirty } } } }
+    #forms = {};
 
-                // (right to left) (..., operator) "-", "5", ... >> (..., operator) ["-", "5"], ...
-                for (let x = output.length - 2; x >= 0; x--)
-                    if (["-", "+"].includes(output[x]) && (x === 0 || JSBinder.#Solver.#isOperator(output[x-1])))
-                        output.splice(x, 2, [output[x], output[x+1]]);
-
-                // (right to left) ..., prefix_operator, operand, ... >> ..., [prefix_operator, operand], ...
-                // ["false", "===", "!", "true"] >> ["false", "===", ["!", "true"]]
-                // ["false", "===", "!", "!", "true"] >> ["false", "===", ["!", ["!", "true"]]]
-                for (let x = output.length - 2; x >= 0; x--)
-                    if (["!!", "!", "~"].includes(output[x]))
-                        output.splice(x, 2, [output[x], output[x+1]]);
-        
-                // (right to left) ..., operand, infix_operator, operand, ... >> ..., [operand, infix_operator, operand], ...
-                for (let x = output.length - 3; x >= 0; x--)
-                    if (["**"].includes(output[x+1]))
-                        output.splice(x, 3, [output[x], output[x+1], output[x+2]]);
-
-                // (left to right) ..., operand, infix_operator, operand, ... >> ..., [operand, infix_operator, operand], ...
-                // ["4", "/", "2", "+", "2", "*", "4", "==", "10"] >> [[["4", "/", "2"], "+", ["2", "*", "4"]], "==", "10"]
-                [["*", "/", "%"], ["+", "-"], ["<<", ">>", ">>>"], [">=", ">", "<=", "<"], ["===", "==", "!==", "!="], ["&"], ["^"], ["|"], ["&&"], ["||"], ["??"]].forEach((ops) => {
-                    let x = 0;
-                    while (output.length > 3 && x <= output.length - 3)
-                        if (ops.includes(output[x+1])) { output.splice(x, 3, [output[x], output[x+1], output[x+2]]); } else { x++ };
-                });
+    // Refreshes bindings using '$form' of the form 'name'.
+    #formChanged = (name) => {
+        this.#changedPaths.push(["$form", name]);
+        this.#needsRefresh = true;
+        this.#queueTasks();
+    };
 
-                // (right to left) ..., [1, "==", 2], "?", "'Yes'", ":", "'No'", ... >> ..., [[1, "==", 2], "?", "'Yes'", ":", "'No'"], ...
-                for (let x = output.length - 5; x >= 0; x--)
-                    if (output[x+1] === "?" && output[x+3] === ":")
-                        output.splice(x, 5, [output[x], "?", output[x+2], ":", output[x+4]]);
+    /**
+     * Registers a custom function that can be used in data binding expressions.
+     * Functions are prefixed with `#` in expressions and called with comma-separated arguments.
+     * Default and rest parameters are supported.
+     * Bindings using a function are refreshed when the state paths of its arguments change, or the paths it reads with
+     * `get()` and `getState()`. Functions depending on anything else (time, random values, other variables) must set
+     * `pure` to false, to be refreshed on every state change.
+     * 
+     * @param {string} name - The function name (must be a valid JavaScript identifier without the # prefix).
+     * @param {Function} method - A function returning a value.
+     * @param {Object} [options] - Function options.
+     * @param {boolean} [options.pure=true] - False to refresh bindings using the function on every state change.
+     * @returns {void}
+     * 
+     * @example
+     * // Register a rounding function
+     * binder.addFunction('round', (x) => Math.round(x));
+     * 
+     * @example
+     * // Use in HTML
+     * // <span>{{#round(value)}}</span>
+     * // If value = 5.7, displays: <span>6</span>
+     * 
+     * @example
+     * // Multiple arguments with default value
+     * binder.addFunction('format', (value, currency = 'SEK') => `${value.toFixed(2)} ${currency}`);
+     * // <span>{{#format(price, currency)}}</span>
+     * 
+     * @example
+     * // Reading values outside the state
+     * binder.addFunction('price', (x) => x * rates[currency], { pure: false });
+     */
+    addFunction = (name, method, { pure = true } = {}) => {
+        if (!name.match(/^[a-zA-Z]{1}[0-9a-zA-Z_]*$/))
+            return JSBinder.#error(`'addFunction' parameter 'name' must be a correct variable name`);
 
-                // Make sure to not return nested lists if not needed.
-                // [[...]] >> [...]
-                return output.length === 1 && Array.isArray(output[0]) ? output[0] : output;
-            };
-        };
+        if (typeof method !== "function")
+            return JSBinder.#error(`'addFunction' 'method' must be a function`);
 
-        // TreeEvaluator - Evaluates the constructed AST.
-        static #Evaluator = class {
-            #binder;
+        // Impure functions read the whole state, so their bindings are refreshed on every change.
+        this.#functions = { ...this.#functions, ["#"+name]: pure ? method : (...args) => { this.#recordRead([]); return method(...args); } };
+    };
 
-            constructor(binder)
-            {
-                this.#binder = binder;
-            }
+    /**
+     * Registers a filter that can be used with the pipe operator in data binding expressions.
+     * The filter is called with the piped value as first argument, followed by any extra arguments separated by `:`.
+     * Pipes have the lowest precedence and can be chained. Inside parentheses `|` is the bitwise OR operator.
+     * 
+     * @param {string} name - The filter name (must be a valid JavaScript identifier).
+     * @param {Function} method - A function taking the value and optional extra arguments, returning a value.
+     * @returns {void}
+     * 
+     * @example
+     * // Register filters
+     * binder.addFilter('currency', (value, currency = 'USD') => `${value.toFixed(2)} ${currency}`);
+     * binder.addFilter('pad', (value, length) => String(value).padStart(length));
+     * 
+     * @example
+     * // Use in HTML
+     * // <span>{{order.total | currency:'SEK' | pad:10}}</span>
+     * // <span data-bind="user.name | upper"></span>
+     */
+    addFilter = (name, method) => {
+        if (!name.match(/^[a-zA-Z]{1}[0-9a-zA-Z_]*$/))
+            return JSBinder.#error(`'addFilter' parameter 'name' must be a correct variable name`);
 
-            evaluate = (tree) => this.#evaluate(tree);
+        if (typeof method !== "function")
+            return JSBinder.#error(`'addFilter' 'method' must be a function`);
 
-            // Evaluates prefix (unary) expressions. Ex: '!true' (operator operand)
-            // map: [['!', (a) => !a], ...] data: ['!', true] >> [false]
-            static #evaluatePrefixOperations = (data, map) => {
-                map.forEach(([op, func]) => { if (data.length === 2 && data[0] === op) { data = [func(data[1])]; } });
-                return data;
-            };
+        this.#filters = { ...this.#filters, [name]: method };
+    };
 
-            // Evaluates infix (binary) expressions. Ex: '1+2' (operand operator operand)
-            // map: [['+', (a, b) => a+b], ...] data: [1, '+', 2] >> [3]
-            static #evaluateInfixOperations = (data, map) => {
-                map.forEach(([op, func]) => { if (data.length === 3 && data[1] === op) { data = [func(data[0], data[2])]; } });
-                return data;
-            };
+    /**
+     * Registers a computed property, derived from state by a function.
+     * Computed properties are read in expressions like any state property. The value is cached and only recomputed
+     * when a state path read by the function (or another computed property it uses) has changed.
+     * The function receives a read-only view of the state. Circular computed properties are reported as errors.
+     * 
+     * @param {string} name - The property name (must be a valid JavaScript identifier).
+     * @param {Function} method - A function receiving the state and returning the computed value.
+     * @returns {void}
+     * 
+     * @example
+     * binder.addComputed('canCheckout', (state) => state.cart.items.length > 0 && !state.checkout.locked);
+     * binder.addComputed('total', (state) => state.cart.items.reduce((sum, x) => sum + x.price * x.qty, 0));
+     * 
+     * @example
+     * // Use in HTML
+     * // <button data-disabled="!canCheckout">Checkout ({{total}})</button>
+     */
+    addComputed = (name, method) => {
+        if (!name.match(/^[a-zA-Z]{1}[0-9a-zA-Z_]*$/))
+            return JSBinder.#error(`'addComputed' parameter 'name' must be a correct variable name`);
 
-            static #prefixOperations =
-            [
-                ["!!", (x) => !!x],
-                ["!",  (x) =>  !x],
-                ["~",  (x) =>  ~x],
-                ["-",  (x) => 0-x],
-                ["+",  (x) => 0+x],
-            ];
+        if (typeof method !== "function")
+            return JSBinder.#error(`'addComputed' 'method' must be a function`);
 
-            static #infixOperations =
-            [
-                ["**",  (x, y) => x **  y], 
-                ["*",   (x, y) => x *   y], 
-                ["/",   (x, y) => x /   y], 
-                ["%",   (x, y) => x %   y], 
-                ["+",   (x, y) => x +   y], 
-                ["-",   (x, y) => x -   y], 
-                ["<<",  (x, y) => x <<  y],
-                [">>",  (x, y) => x >>  y],
-                [">>>", (x, y) => x >>> y],
-                ["===", (x, y) => x === y],
-                ["==",  (x, y) => x ==  y],
-                ["!==", (x, y) => x !== y],
-                ["!=",  (x, y) => x !=  y],
-                [">=",  (x, y) => x >=  y],
-                [">",   (x, y) => x >   y],
-                ["<=",  (x, y) => x <=  y],
-                ["<",   (x, y) => x <   y],
-                ["&",   (x, y) => x &   y],
-                ["^",   (x, y) => x ^   y],
-                ["|",   (x, y) => x |   y],
-                ["&&",  (x, y) => x &&  y],
-                ["||",  (x, y) => x ||  y],
-                ["??",  (x, y) => x ??  y],
-            ];
+        this.#computed = { ...this.#computed, [name]: { method, value: undefined, dependencies: null, version: -1 } };
+        this.#changedPaths.push([name]);
+        this.#needsRefresh = true;
+        this.#queueTasks();
+    };
 
-            #evaluate = (tree) => {
-                // [[1, "==", 2], "?", "'yes'", ":", "'no'" ] >> ["'no'"]
-                const handleTernary = (data) => {
-                    const list = (x) => Array.isArray(x) ? x : [x];
+    // Returns the value of a computed property, recomputing it only when a value it read has changed.
+    // 'dependencies' is a list of [read, value, path] where read() returns the current value at state 'path' (or of the computed property [name]).
+    #computedValue = (name) => {
+        const computed = this.#computed[name];
 
-                    if (data.length === 5 && data[1] === "?" && data[3] === ":") data = evaluateTree(list(data[0])) ? list(data[2]) : list(data[4]);
-                    return data;
-                };
+        if (computed.version === this.#stateVersion) return computed.value;
 
-                // [#round, 5.5] >> [6]
-                const handleFunctions = (data) =>
-                    JSBinder.#Solver.#Evaluator.#evaluatePrefixOperations(data, Object.entries(this.#binder.#functions)); //Object.entries(...) >> [["#round", (x) => Math.round(x)], ...]
+        if (this.#computing.includes(name))
+            return JSBinder.#error(`Circular computed properties: ${[...this.#computing.slice(this.#computing.indexOf(name)), name].join(" > ")}`);
 
-                // ["!", true] >> [false]
-                const handlePrefixOperations = (data) => 
-                    JSBinder.#Solver.#Evaluator.#evaluatePrefixOperations(data, JSBinder.#Solver.#Evaluator.#prefixOperations);
+        this.#computing.push(name);
 
-                // [1, "+", 2] >> [3]
-                const handleInfixOperations = (data) =>
-                    JSBinder.#Solver.#Evaluator.#evaluateInfixOperations(data, JSBinder.#Solver.#Evaluator.#infixOperations);
+        try {
+            if (computed.dependencies?.every(([read, value]) => Object.is(read(), value)) !== true) {
+                const dependencies = [];
+                computed.dependencies = dependencies;
+                computed.value = JSBinder.#unwrapTracked(computed.method(this.#trackState(dependencies)));
+            }
+        }
+        catch (e) {
+            computed.value = undefined;
+            JSBinder.#error(`Computed property '${name}' failed:`, e);
+        }
+        finally {
+            this.#computing.pop();
+        }
 
-                // Recursive parse tree nodes to values.
-                // ["'string'", "vaiable_eq_1", "true", ...] >> ["string", 1, true, ...]
-                const resolveLiterals = (input) => input
-                    .map((x) => Array.isArray(x) ? resolveLiterals(x) : x)
-                    .map((x) => !Array.isArray(x) && !JSBinder.#Solver.#isFunction(x) && !JSBinder.#Solver.#isOperator(x) ? this.#binder.#resolveValue(x) : x);
+        computed.version = this.#stateVersion;
+        return computed.value;
+    };
 
-                // Recursive solve tree.
-                const evaluateTree = (input) => JSBinder.#pipe(handleTernary, handleFunctions, handlePrefixOperations, handleInfixOperations, JSBinder.#unwrapSingleArray)(input.map((x) => Array.isArray(x) ? evaluateTree(x) : x));
+    /**
+     * Watches a state path and calls the callback when its value changes.
+     * Callbacks are batched and called once per state update, before bindings are refreshed.
+     * Paths can contain wildcards (`*`) matching every item of an array or every key of an object.
+     * Watchers are removed when the instance is disposed.
+     * 
+     * @param {string} path - The state path to watch, e.g. `cart.items`, `users[0].name` or `users[*].status`.
+     * @param {Function} callback - Called with `(newValue, oldValue, path)`, where `path` is the concrete path that changed.
+     * @param {Object} [options] - Watch options.
+     * @param {boolean} [options.deep=false] - Also call the callback when a value inside the watched value changes.
+     * @param {boolean} [options.immediate=false] - Call the callback with the current value when the watcher is added.
+     * @returns {Function} A function removing the watcher.
+     * 
+     * @example
+     * const unwatch = binder.watch('cart.items', (items, old) => console.log(`${old.length} → ${items.length} items`));
+     * unwatch();
+     * 
+     * @example
+     * // Deep watching
+     * binder.watch('settings', (settings) => localStorage.setItem('settings', JSON.stringify(settings)), { deep: true });
+     * 
+     * @example
+     * // Wildcards
+     * binder.watch('users[*].status', (status, old, path) => console.log(`${path}: ${old} → ${status}`));
+     */
+    watch = (path, callback, { deep = false, immediate = false } = {}) => {
+        const pattern = JSBinder.#parsePath(path);
 
-                return JSBinder.#pipe(resolveLiterals, evaluateTree)(tree);
-            };
-        };
+        if (pattern === null)
+            return JSBinder.#error(`'watch' parameter 'path' must be a correct path`);
 
-        // Main ExpressionTree class - Coordinates the parsing and evaluation.
-        static ExpressionTree = class {
-            #tree;
-            #evaluator;
+        if (typeof callback !== "function")
+            return JSBinder.#error(`'watch' 'callback' must be a function`);
 
-            constructor (binder, exp)
-            {
-                this.#tree = this.#buildTree(exp);
-                this.#evaluator = new JSBinder.#Solver.#Evaluator(binder);
-            };
+        if (this.#abortController.signal.aborted)
+            return () => {};
 
-            #buildTree = (exp) => {
-                const tokenizer = new JSBinder.#Solver.#Tokenizer();
+        const watcher = { path, pattern, callback, deep, values: this.#watchedValues(pattern, deep) };
+        const unwatch = () => { this.#watchers = this.#watchers.filter((x) => x !== watcher); };
 
-                exp = tokenizer.extractStrings(exp);
-                exp = tokenizer.extractExpressions(exp);
+        this.#watchers = [...this.#watchers, watcher];
+        this.#abortController.signal.addEventListener("abort", unwatch, { once: true });
 
-                // Split expression
-                // "5+3-x" >> "5 + 3 - x" >> ["5", "+", "3", "-", "x"]
-                let parts = exp
-                    .replace(/(>>>|===|!==|!!|<<|>>|\*\*|>=|<=|==|!=|&&|\|\||\?\?|\?|:|\(|\)|!|~|\*|\/|%|\+|-|>|<|&|\^|\|)/g, " $1 ")
-                    .trim()
-                    .split(/\s+/);
+        if (immediate) watcher.values.forEach(({ path: valuePath }, key) => this.#callWatcher(watcher, this.#readValue(valuePath), undefined, key));
 
-                parts = tokenizer.restoreExpressions(parts);
-                parts = tokenizer.restoreStrings(parts);
+        return unwatch;
+    };
 
-                return new JSBinder.#Solver.#TreeBuilder(parts).build();
-            };
+    #watchers = [];
 
-            // Recursive evaluation of expression tree.
-            evaluate = () => this.#evaluator.evaluate(this.#tree);
+    /**
+     * Reverts the state to before the last recorded change. Requires the `history` option.
+     * `$history.canUndo` can be used in expressions to tell if there is a change to undo.
+     * 
+     * @returns {void}
+     * 
+     * @example
+     * // <button data-onclick="..." data-disabled="!$history.canUndo">Undo</button> with a click listener calling:
+     * binder.undo();
+     */
+    undo = () => { this.#recordPending(); if (this.#canUndo()) this.travel(this.#history.index - 1); };
+
+    /**
+     * Reapplies the last undone change. Requires the `history` option.
+     * `$history.canRedo` can be used in expressions to tell if there is a change to redo.
+     * 
+     * @returns {void}
+     */
+    redo = () => { this.#recordPending(); if (this.#canRedo()) this.travel(this.#history.index + 1); };
+
+    // Tells if there is a change to undo or redo, available as '$history.canUndo' and '$history.canRedo' in expressions.
+    #canUndo = () => this.#history?.index > 0;
+    #canRedo = () => this.#history?.index < this.#history?.entries.length - 1;
+
+    /**
+     * Restores the state to a recorded snapshot, where 0 is the oldest snapshot. Requires the `history` option.
+     * Excluded paths keep their current values. Later snapshots are kept until a new change is made.
+     * 
+     * @param {number} index - Index of the snapshot, see `getHistory()`.
+     * @returns {void}
+     * 
+     * @example
+     * const { snapshots } = binder.getHistory();
+     * binder.travel(snapshots.length - 3); // Same as calling undo() twice.
+     */
+    travel = (index) => {
+        if (this.#history === null)
+            return JSBinder.#error(`'travel' requires the 'history' option`);
+
+        if (!Number.isInteger(index) || index < 0 || index >= this.#history.entries.length)
+            return JSBinder.#error(`'travel' parameter 'index' must be an index of a snapshot`);
+
+        this.#recordPending();
+
+        const previous = this.#state;
+        this.#state = this.#restoreSnapshot(this.#history.entries[index]);
+        this.#history = { ...this.#history, index, time: 0, skip: true };
+        const keys = [...new Set([...Object.keys(previous), ...Object.keys(this.#state)])];
+        this.#stateChanged([...keys, "$history"].map((key) => [key]), keys.filter((key) => !JSBinder.#deepEqual(previous[key], this.#state[key])).map((key) => ({ path: [key], oldValue: previous[key], newValue: this.#state[key] })), "history");
+    };
+
+    /**
+     * Returns copies of the recorded snapshots and the index of the current one. Requires the `history` option.
+     * 
+     * @returns {{snapshots: Object[], index: number}} Snapshots, oldest first.
+     */
+    getHistory = () => this.#history === null
+        ? JSBinder.#error(`'getHistory' requires the 'history' option`)
+        : { snapshots: this.#history.entries.map(JSBinder.#clone), index: this.#history.index };
+
+    /**
+     * Removes all recorded snapshots, making the current state the oldest snapshot. Requires the `history` option.
+     * Useful after setting the initial state, to not allow undoing it.
+     * 
+     * @returns {void}
+     * 
+     * @example
+     * binder.setState(await loadDocument());
+     * binder.clearHistory();
+     */
+    clearHistory = () => {
+        if (this.#history === null)
+            return JSBinder.#error(`'clearHistory' requires the 'history' option`);
+
+        this.#history = { ...this.#history, entries: [this.#snapshot()], index: 0, time: 0 };
+        this.#historyChanged();
+    };
+
+    #history = null;
+
+    #createHistory = ({ depth = 100, group = 0, exclude = [] }) => {
+        if (!Number.isInteger(depth) || depth < 1)
+            throw new Error(JSBinder.#message(`'history.depth' must be a positive integer`));
+
+        if (typeof group !== "number" || group < 0)
+            throw new Error(JSBinder.#message(`'history.group' must be a number of milliseconds`));
+
+        if (!Array.isArray(exclude) || exclude.some((x) => JSBinder.#parsePath(x) === null))
+            throw new Error(JSBinder.#message(`'history.exclude' must be a list of correct paths`));
+
+        return JSBinder.#apply(exclude.map(JSBinder.#parsePath))((exclude) =>
+            ({ depth, group, exclude, entries: [this.#snapshot(exclude)], index: 0, time: 0, skip: false }));
+    };
+
+    // Copy of the state without excluded paths.
+    #snapshot = (exclude = this.#history.exclude) => JSBinder.#apply(JSBinder.#clone(this.#state))((snapshot) => {
+        exclude.forEach((pattern) => JSBinder.#deletePath(snapshot, pattern));
+        return snapshot;
+    });
+
+    // Copy of a snapshot with the current values of excluded paths.
+    #restoreSnapshot = (snapshot) => JSBinder.#apply(JSBinder.#clone(snapshot))((state) => {
+        this.#history.exclude.forEach((pattern) => this.#expandPath(pattern).forEach((path) => {
+            const target = path.slice(0, -1).reduce((x, key) => (x === undefined || x === null) ? undefined : x[key], state);
+            const value = this.#readState(path);
+            if (target !== null && typeof target === "object" && value !== undefined) target[path.at(-1)] = JSBinder.#clone(value);
+        }));
+        return state;
+    });
+
+    // Records the state after a batch of 'changed' paths as a new step, or in the last step if within the grouping time.
+    // Changes of excluded paths only are not recorded.
+    #recordHistory = (changed) => {
+        const history = this.#history;
+
+        if (history === null) return;
+        if (history.skip) { this.#history = { ...history, skip: false }; return; }
+        if (changed.every((path) => history.exclude.some((pattern) => path.length >= pattern.length && JSBinder.#overlaps(pattern, path)))) return;
+
+        const snapshot = this.#snapshot();
+
+        if (JSBinder.#deepEqual(snapshot, history.entries[history.index])) return;
+
+        const now = Date.now();
+        const group = history.index > 0 && history.index === history.entries.length - 1 && now - history.time < history.group;
+        const entries = [...history.entries.slice(0, group ? history.index : history.index + 1), snapshot].slice(-(history.depth + 1));
+
+        this.#history = { ...history, entries, index: entries.length - 1, time: now };
+        this.#historyChanged(changed);
+    };
+
+    // Records changes not yet handled by the task queue, before leaving them.
+    #recordPending = () => { if (this.#stateUpdated) this.#recordHistory(this.#changedPaths); };
+
+    // Refreshes bindings using '$history', adding it to the 'changed' paths being handled or to the pending ones.
+    #historyChanged = (changed = this.#changedPaths) => {
+        changed.push(["$history"]);
+
+        if (changed !== this.#changedPaths) return;
+
+        this.#needsRefresh = true;
+        this.#queueTasks();
+    };
+
+    #persistence = null;
+
+    #createPersistence = (persist) => {
+        if (!JSBinder.#isPlainObject(persist))
+            throw new Error(JSBinder.#message(`'persist' must be an object`));
+
+        const { key, paths = null, storage = "local", version = 1, migrate = null, debounce = 100, sync = false } = persist;
+
+        if (typeof key !== "string" || key === "")
+            throw new Error(JSBinder.#message(`'persist.key' must be a non-empty string`));
+
+        if (paths !== null && (!Array.isArray(paths) || paths.some((x) => JSBinder.#parsePath(x)?.every((key) => typeof key === "string" && key !== "*") !== true)))
+            throw new Error(JSBinder.#message(`'persist.paths' must be a list of property paths, e.g. 'prefs' or 'user.settings'`));
+
+        if (!["local", "session"].includes(storage))
+            throw new Error(JSBinder.#message(`'persist.storage' must be 'local' or 'session'`));
+
+        if (!Number.isInteger(version))
+            throw new Error(JSBinder.#message(`'persist.version' must be an integer`));
+
+        if (migrate !== null && typeof migrate !== "function")
+            throw new Error(JSBinder.#message(`'persist.migrate' must be a function`));
+
+        if (typeof debounce !== "number" || debounce < 0)
+            throw new Error(JSBinder.#message(`'persist.debounce' must be a number of milliseconds`));
+
+        if (![true, false, "storage", "broadcast"].includes(sync))
+            throw new Error(JSBinder.#message(`'persist.sync' must be a boolean, 'storage' or 'broadcast'`));
+
+        if (sync === "storage" && storage === "session")
+            throw new Error(JSBinder.#message(`'persist.sync' 'storage' requires local storage, the storage event is not sent for session storage`));
+
+        const mode = sync === true ? (storage === "local" ? "storage" : "broadcast") : sync;
+        const area = `${storage}Storage`;
+        const channel = mode === "broadcast" ? new BroadcastChannel(`jsbinder:${key}`) : null;
+
+        if (mode === "storage")
+            this.#addEvent(window)("storage", (e) => { if (e.key === key && e.newValue !== null && e.storageArea === window[area]) this.#restorePersisted(e.newValue, true); });
+
+        if (channel !== null) {
+            channel.onmessage = (e) => this.#restorePersisted(e.data, true);
+            this.#abortController.signal.addEventListener("abort", () => channel.close(), { once: true });
+        }
+
+        this.#addEvent(window)("pagehide", this.#flushPersisted);
+
+        return { key, paths: paths?.map(JSBinder.#parsePath) ?? null, area, version, migrate, debounce, channel, timer: null, last: null, restored: null };
+    };
+
+    // Reads the stored JSON, or null when missing or the storage is not available.
+    #readStorage = () => {
+        try {
+            return window[this.#persistence.area].getItem(this.#persistence.key);
+        }
+        catch (e) {
+            JSBinder.#error(`'persist' could not read '${this.#persistence.key}' from ${this.#persistence.area}:`, e);
+            return null;
+        }
+    };
+
+    // Applies stored JSON through setState(), migrating data stored by another version.
+    // With 'remote' (changes from other tabs) persisted paths missing in the data are removed.
+    // Restored values are kept over the initial state, see #keepRestored.
+    #restorePersisted = (json, remote = false) => {
+        const persistence = this.#persistence;
+
+        if (json === null || persistence === null) return;
+
+        try {
+            const stored = JSON.parse(json);
+
+            if (!JSBinder.#isPlainObject(stored) || !JSBinder.#isPlainObject(stored.state)) return;
+            if (stored.version !== persistence.version && persistence.migrate === null) return;
+
+            const state = stored.version === persistence.version ? stored.state : persistence.migrate(stored.state, stored.version);
+
+            if (!JSBinder.#isPlainObject(state))
+                return JSBinder.#error(`'persist.migrate' must return an object`);
+
+            const picked = this.#pickPersisted(state, remote);
+            this.#withOrigin("persist")(() => this.setState(picked));
+
+            if (!remote) {
+                // Kept until the tasks of the initial state have run, see #persistChanges.
+                persistence.last = json;
+                persistence.restored = picked;
+                window.queueMicrotask(() => { persistence.restored = null; });
+            }
+            else if (persistence.timer === null) {
+                // Changes from other tabs are not written back, that could make tabs update each other endlessly.
+                // Session storage is not shared between tabs and is written here.
+                persistence.last = this.#serializePersisted();
+                if (persistence.channel !== null) window[persistence.area].setItem(persistence.key, persistence.last);
+            }
+        }
+        catch (e) {
+            JSBinder.#error(`'persist' could not restore '${persistence.key}':`, e);
+        }
+    };
+
+    // Persisted paths of a state object, with missing values as undefined when 'removed' is set.
+    // ["prefs"], ["user", "settings"] >> { prefs: { ... }, user: { settings: { ... } } }
+    #pickPersisted = (state, removed = false) => {
+        const paths = this.#persistence.paths ?? [...new Set([...Object.keys(state), ...(removed ? Object.keys(this.#state) : [])])].map((key) => [key]);
+
+        return paths.reduce((picked, path) => {
+            const value = path.reduce((x, key) => (x === undefined || x === null) ? undefined : x[key], state);
+            return (value !== undefined || removed) ? JSBinder.#setPath(picked, path, value) : picked;
+        }, {});
+    };
+
+    // Values of 'restored' replacing those of 'data', for the initial setState() made before the first refresh.
+    // Keys missing in 'data' are not added. { theme: "light", size: 2 }, { theme: "dark" } >> { theme: "dark", size: 2 }
+    static #keepRestored = (data, restored) => Object.fromEntries(Object.entries(data).map(([key, value]) => [key, !Object.hasOwn(restored, key)
+        ? value
+        : (JSBinder.#isPlainObject(value) && JSBinder.#isPlainObject(restored[key])) ? JSBinder.#keepRestored(value, restored[key]) : restored[key]]));
+
+    #serializePersisted = () => JSON.stringify({ version: this.#persistence.version, state: this.#pickPersisted(this.#state) });
+
+    // Schedules writing to storage when any of the 'changed' state paths is persisted.
+    // The restored state and the initial state set over it are not written back.
+    #persistChanges = (changed) => {
+        const persistence = this.#persistence;
+
+        if (persistence === null) return;
+
+        if (persistence.restored !== null) {
+            persistence.last = this.#serializePersisted();
+            return;
+        }
+
+        if (persistence.paths !== null && !changed.some((x) => persistence.paths.some((y) => JSBinder.#overlaps(x, y)))) return;
+
+        window.clearTimeout(persistence.timer);
+        persistence.timer = window.setTimeout(this.#writePersisted, persistence.debounce);
+    };
+
+    // Writes the persisted paths to storage, and to other tabs through the BroadcastChannel.
+    #writePersisted = () => {
+        const persistence = this.#persistence;
+
+        window.clearTimeout(persistence.timer);
+        persistence.timer = null;
+
+        try {
+            const json = this.#serializePersisted();
+            if (json === persistence.last) return;
+
+            window[persistence.area].setItem(persistence.key, json);
+            persistence.last = json;
+            persistence.channel?.postMessage(json);
+        }
+        catch (e) {
+            JSBinder.#error(`'persist' could not write '${persistence.key}' to ${persistence.area}:`, e);
+        }
+    };
+
+    // Writes pending changes at once, before the page is left or the instance disposed.
+    #flushPersisted = () => { if ((this.#persistence?.timer ?? null) !== null) this.#writePersisted(); };
+
+    #urlSync = null;
+
+    static #URL_TYPES = ["string", "number", "boolean", "array"];
+
+    #createUrlSync = (url) => {
+        if (!JSBinder.#isPlainObject(url))
+            throw new Error(JSBinder.#message(`'url' must be an object`));
+
+        const { params, mode = "query", push = true } = url;
+
+        if (!JSBinder.#isPlainObject(params) || Object.keys(params).length === 0)
+            throw new Error(JSBinder.#message(`'url.params' must be an object mapping parameter names to state paths`));
+
+        if (!["query", "hash"].includes(mode))
+            throw new Error(JSBinder.#message(`'url.mode' must be 'query' or 'hash'`));
+
+        if (typeof push !== "boolean")
+            throw new Error(JSBinder.#message(`'url.push' must be a boolean`));
+
+        const mapped = Object.entries(params).map(([name, param]) => {
+            const { path, type = null, default: value = undefined, push: paramPush = push } = typeof param === "string" ? { path: param } : (param ?? {});
+            const keys = JSBinder.#parsePath(path);
+
+            if (keys?.every((key) => typeof key === "string" && key !== "*") !== true)
+                throw new Error(JSBinder.#message(`'url.params.${name}' must have a property path, e.g. 'page' or 'paging.page'`));
+
+            // The type of the default value when not set. 1 >> "number", [] >> "array"
+            const valueType = type ?? (Array.isArray(value) ? "array" : ["number", "boolean"].includes(typeof value) ? typeof value : "string");
+
+            if (!JSBinder.#URL_TYPES.includes(valueType))
+                throw new Error(JSBinder.#message(`'url.params.${name}.type' must be one of ${JSBinder.#URL_TYPES.map((x) => `'${x}'`).join(", ")}`));
+
+            if (typeof paramPush !== "boolean")
+                throw new Error(JSBinder.#message(`'url.params.${name}.push' must be a boolean`));
+
+            return { name, path: keys, type: valueType, default: value, push: paramPush };
+        });
+
+        this.#addEvent(window)("popstate", () => this.#applyUrl());
+        if (mode === "hash") this.#addEvent(window)("hashchange", () => this.#applyUrl());
+
+        return { params: mapped, mode, replace: false };
+    };
+
+    // Parameters of the query string or the hash. "#page=2&q=lamp" >> URLSearchParams { page: "2", q: "lamp" }
+    #urlParams = (url) => new URLSearchParams(this.#urlSync.mode === "query" ? url.search : url.hash.slice(1));
+
+    // Converts a URL parameter to the type of the state value, or the default value if it can not be converted.
+    // ("2", "number") >> 2, ("true", "boolean") >> true, ("a,b", "array") >> ["a", "b"]
+    static #parseUrlValue = (text, param) => {
+        switch (param.type) {
+            case "number": return (text.trim() === "" || isNaN(Number(text))) ? param.default : Number(text);
+            case "boolean": return ["true", "1", ""].includes(text) ? true : ["false", "0"].includes(text) ? false : param.default;
+            case "array": return text === "" ? [] : text.split(",");
+            default: return text;
+        }
+    };
+
+    // Applies the URL parameters to state through setState(), with default values for missing parameters.
+    // The URL is then rewritten from state without adding a history entry.
+    #applyUrl = () => {
+        const params = this.#urlParams(window.location);
+
+        this.#urlSync.replace = true;
+        this.#withOrigin("url")(() => this.setState(this.#urlSync.params.reduce((updates, param) =>
+            JSBinder.#setPath(updates, param.path, params.has(param.name) ? JSBinder.#parseUrlValue(params.get(param.name), param) : JSBinder.#clone(param.default)), {})));
+    };
+
+    // Writes the state values of the parameters affected by the 'changed' state paths to the URL.
+    // Values equal to the default value and other parameters of the URL are left out and kept.
+    #syncUrl = (changed) => {
+        const urlSync = this.#urlSync;
+
+        if (urlSync === null) return;
+
+        const replace = urlSync.replace;
+        urlSync.replace = false;
+
+        const params = urlSync.params.filter((param) => changed.some((path) => JSBinder.#overlaps(param.path, path)));
+        if (params.length === 0) return;
+
+        const url = new URL(window.location.href);
+        const search = this.#urlParams(url);
+
+        params.forEach((param) => {
+            const value = this.#readState(param.path);
+
+            if (value === undefined || value === null || JSBinder.#deepEqual(value, param.default)) search.delete(param.name);
+            else search.set(param.name, Array.isArray(value) ? value.join(",") : String(value));
+        });
+
+        const text = search.toString().replaceAll("%2C", ","); // Commas of array values are kept readable.
+        if (urlSync.mode === "query") url.search = text; else url.hash = text;
+        if (url.href === window.location.href) return;
+
+        const push = !replace && params.some((param) => param.push);
+        window.history[push ? "pushState" : "replaceState"](window.history.state, "", url.href);
+    };
+
+    // Navigates to a URL on the same page without reloading, applying its parameters to state.
+    #navigate = (href) => {
+        window.history.pushState(window.history.state, "", href);
+        this.#applyUrl();
+    };
+
+    // Sets a value by path, creating missing objects. ({}, ["a", "b"], 1) >> { a: { b: 1 } }
+    static #setPath = (obj, path, value) => {
+        path.slice(0, -1).reduce((x, key) => x[key] ??= {}, obj)[path.at(-1)] = value;
+        return obj;
+    };
+
+    // Deletes a path from an object, '*' matching all keys. ({ a: [{ b: 1 }] }, ["a", "*", "b"]) >> { a: [{}] }
+    static #deletePath = (obj, pattern) => {
+        if (obj === null || typeof obj !== "object") return;
+
+        const [key, ...rest] = pattern;
+        const keys = key === "*" ? Object.keys(obj) : [key];
+
+        keys.forEach((x) => { if (rest.length === 0) delete obj[x]; else JSBinder.#deletePath(obj[x], rest); });
+    };
+
+    // Current values of a watched path pattern by concrete path. Deep watchers store a copy to compare with later.
+    // ["users", "*", "status"] >> Map { "users[0].status" => { path: ["users", 0, "status"], value: "active" }, ... }
+    #watchedValues = (pattern, deep) => new Map(this.#expandPath(pattern).map((path) =>
+        JSBinder.#apply(this.#readValue(path))((value) => [JSBinder.#formatPath(path), { path, value: deep ? JSBinder.#clone(value) : value }])));
+
+    // Calls watchers with values changed by the 'changed' state paths.
+    #notifyWatchers = (changed) => {
+        this.#watchers.forEach((watcher) => {
+            const computed = Object.hasOwn(this.#computed, watcher.pattern[0]);
+            const paths = computed ? this.#computedPaths(watcher.pattern[0]) : [watcher.pattern];
+
+            if (!paths.some((x) => changed.some((y) => JSBinder.#overlaps(x, y, watcher.deep || computed)))) return;
+
+            const values = this.#watchedValues(watcher.pattern, watcher.deep);
+            const isEqual = watcher.deep ? JSBinder.#deepEqual : Object.is;
+
+            [...new Set([...watcher.values.keys(), ...values.keys()])].forEach((key) => {
+                const [oldValue, newValue] = [watcher.values.get(key)?.value, values.get(key)?.value];
+
+                if (!isEqual(oldValue, newValue))
+                    this.#callWatcher(watcher, values.has(key) ? this.#readValue(values.get(key).path) : undefined, oldValue, key);
+            });
+
+            watcher.values = values;
+        });
+    };
+
+    // Calls a watcher callback, reporting errors without stopping other watchers and the refresh.
+    #callWatcher = (watcher, newValue, oldValue, path) => {
+        try {
+            watcher.callback(newValue, oldValue, path);
+        }
+        catch (e) {
+            JSBinder.#error(`Watcher for '${watcher.path}' failed:`, e);
+        }
+    };
+
+    // Concrete paths of a path pattern in the current state. ["users", "*", "name"] >> [["users", 0, "name"], ["users", 1, "name"]]
+    #expandPath = (pattern) => pattern.reduce((paths, key) => paths.flatMap((path) => {
+        if (key !== "*") return [[...path, key]];
+
+        const obj = this.#readValue(path);
+        return (obj !== null && typeof obj === "object") ? Object.keys(obj).map((x) => [...path, Array.isArray(obj) ? Number(x) : x]) : [];
+    }), [[]]);
+
+    // Returns value from state or a computed property by path. ["total"] >> computed total, ["cart", "items"] >> state.cart.items
+    #readValue = (path) => Object.hasOwn(this.#computed, path[0])
+        ? path.slice(1).reduce((x, key) => (x === undefined || x === null) ? undefined : x[key], this.#computedValue(path[0]))
+        : this.#readState(path);
+
+    // Parses a path, returns null if incorrect. "users[0].name" >> ["users", 0, "name"], "users[*].name" >> ["users", "*", "name"]
+    static #parsePath = (path) => {
+        if (typeof path !== "string" || !path.match(/^[a-zA-Z_][0-9a-zA-Z_]*(?:\.(?:[a-zA-Z_][0-9a-zA-Z_]*|\d+|\*)|\[(?:\d+|\*)\])*$/)) return null;
+
+        const keys = path.match(/[a-zA-Z_][0-9a-zA-Z_]*|\d+|\*/g).map((x) => x.match(/^\d+$/) ? Number(x) : x);
+        return keys.some(JSBinder.#isForbiddenKey) ? null : keys;
+    };
+
+    // Formats a path. ["users", 0, "name"] >> "users[0].name"
+    static #formatPath = (path) => path.reduce((text, key) => typeof key === "number" ? `${text}[${key}]` : (text === "" ? key : `${text}.${key}`), "");
+
+    // Deep copy of a value, or the value itself if it can not be copied.
+    static #clone = (value) => { try { return window.structuredClone(value); } catch { return value; } };
+
+    // Compares arrays and plain objects by content. { a: [1] }, { a: [1] } >> true
+    static #deepEqual = (a, b) => {
+        if (Object.is(a, b)) return true;
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((x, i) => JSBinder.#deepEqual(x, b[i]));
+        if (JSBinder.#isPlainObject(a) && JSBinder.#isPlainObject(b)) return JSBinder.#apply(Object.keys(a), Object.keys(b))((x, y) => x.length === y.length && x.every((key) => Object.hasOwn(b, key) && JSBinder.#deepEqual(a[key], b[key])));
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    };
+
+    // State paths a computed property depends on, including those of computed properties it uses.
+    #computedPaths = (name, visited = new Set([name])) =>
+        (this.#computed[name].dependencies ?? []).flatMap(([, , path]) =>
+            (path.length === 1 && Object.hasOwn(this.#computed, path[0]) && !visited.has(path[0])) ? [path, ...this.#computedPaths(path[0], visited.add(path[0]))] : [path]);
+
+    #reads = null;
+
+    // Runs 'callback', returning the state paths read by expressions meanwhile. [["cart", "items", "length"], ["user"], ...]
+    #track = (callback) => {
+        const reads = this.#reads;
+        this.#reads = [];
+
+        try {
+            callback();
+            return this.#reads;
+        }
+        finally {
+            this.#reads = reads;
+        }
+    };
+
+    // Records a state path read by an expression. Computed properties also add the state paths they depend on.
+    #recordRead = (path) => {
+        if (this.#reads === null) return;
+
+        this.#reads.push(path);
+
+        if (Object.hasOwn(this.#computed, path[0]))
+            this.#reads.push(...this.#computedPaths(path[0]));
+    };
+
+    // Tells if two state paths overlap, one being equal to or inside the other. ["a", "b"], ["a"] >> true
+    // With 'inside' false, changes inside 'a' are excluded. ["a"], ["a", "b"] >> false
+    // A '*' key in 'a' matches any key.
+    static #overlaps = (a, b, inside = true) => (inside || b.length <= a.length) && a.every((key, i) => i >= b.length || key === "*" || String(key) === String(b[i]));
+
+    // Maps read-only state views to the objects they wrap.
+    static #trackedTargets = new WeakMap();
+
+    // Read-only view of the state, adding the state paths read to 'dependencies'.
+    // Plain objects and arrays are wrapped, other values are returned as is.
+    #trackState = (dependencies) => {
+        const track = (obj, path) => JSBinder.#apply(new Proxy(obj, {
+            get: (target, key) => {
+                if (typeof key === "symbol") return target[key];
+
+                if (path.length === 0 && Object.hasOwn(this.#computed, key)) {
+                    const value = this.#computedValue(key);
+                    dependencies.push([() => this.#computedValue(key), value, [key]]);
+                    return value;
+                }
+
+                const value = target[key];
+                dependencies.push([() => this.#readState([...path, key]), value, [...path, key]]);
+                return (Object.hasOwn(target, key) && (JSBinder.#isPlainObject(value) || Array.isArray(value))) ? track(value, [...path, key]) : value;
+            },
+            has: (target, key) => {
+                dependencies.push([() => this.#readState(path)?.[key], target[key], [...path, key]]);
+                return key in target;
+            },
+            ownKeys: (target) => {
+                dependencies.push([() => JSON.stringify(Object.keys(this.#readState(path) ?? {})), JSON.stringify(Object.keys(target)), path]);
+                return Reflect.ownKeys(target);
+            },
+            set: () => { JSBinder.#error(`Computed properties can not modify state`); return true; },
+            deleteProperty: () => { JSBinder.#error(`Computed properties can not modify state`); return true; },
+        }))((proxy) => { JSBinder.#trackedTargets.set(proxy, obj); return proxy; });
+
+        return track(this.#state, []);
+    };
+
+    // Replaces read-only state views in a computed value with the objects they wrap. [view1, view2] >> [obj1, obj2]
+    static #unwrapTracked = (value, visited = new Set()) => {
+        if (JSBinder.#trackedTargets.has(value)) return JSBinder.#trackedTargets.get(value);
+        if (!(JSBinder.#isPlainObject(value) || Array.isArray(value)) || visited.has(value)) return value;
+
+        visited.add(value);
+        Object.keys(value).forEach((key) => { if (JSBinder.#trackedTargets.has(value[key]) || JSBinder.#isPlainObject(value[key]) || Array.isArray(value[key])) value[key] = JSBinder.#unwrapTracked(value[key], visited); });
+        return value;
+    };
+
+    // Returns value from a literal, an alias in 'context' or a state variable.
+    // "5" >> 5, "'text'" >> "text", "@item" >> context.item, "{index_key}" >> index, "title" >> state.title (or computed property 'title')
+    #resolveValue = (exp, context = {}) => {
+        if (typeof exp !== "string") return exp; // true / false / null / undefined / numeric... etc.
+
+        exp = exp.trim();
+
+        if (exp.match(/^-?\d+$/)) return parseInt(exp); //int
+        if (exp.match(/^-?\d+\.\d+$/)) return parseFloat(exp); //float
+        if (exp.match(/^(['"])[\s\S]*\1$/)) return JSBinder.#Lexer.unescape(exp.slice(1, -1)); //string ('text' or "text", with escapes)
+        if (exp === "true") return true;
+        if (exp === "false") return false;
+        if (exp === "null") return null;
+        if (exp === "undefined") return undefined;
+        if (exp === "Infinity") return Infinity;
+        if (exp === "NaN") return NaN;
+
+        const m = exp.match(/^\{([a-zA-Z0-9_]+)\}$/);
+        if (m) return this.#indexMap.get(m[1]);
+
+        if (JSBinder.#isForbiddenKey(exp.replace(/^@/, "")))
+            throw new Error(JSBinder.#message("Path includes forbidden keywords"));
+
+        if (exp.startsWith("@")) return Object.hasOwn(context, exp.slice(1)) ? context[exp.slice(1)] : undefined;
+        if (exp === "$form") return this.#forms;
+        if (exp === "$history") return { canUndo: this.#canUndo(), canRedo: this.#canRedo() };
+        if (exp.startsWith("$")) return undefined; // Names starting with '$' are reserved.
+
+        if (Object.hasOwn(this.#computed, exp)) return this.#computedValue(exp);
+
+        return Object.hasOwn(this.#state, exp) ? this.#state[exp] : undefined;
+    };
+
+    // Returns value from state by path. ["data", 0, "title"] >> state.data[0].title
+    #readState = (path) => path.reduce((x, key) => (x === undefined || x === null) ? undefined : x[key], this.#state);
+
+    // Mutates state by updating or removing a value. ["data", 0, "title"], value
+    // With 'create' missing objects are created, see #createParent. Returns true when the value was assigned.
+    #mutateState = (path, value, create = false) => {
+        if (Object.hasOwn(this.#computed, path[0]))
+            return JSBinder.#error(`Computed property '${path[0]}' can not be assigned`);
+
+        if (String(path[0]).startsWith("$"))
+            return JSBinder.#error(`'${path[0]}' can not be assigned`);
+
+        const key = path.at(-1);
+        const target = create ? this.#createParent(path) : this.#readState(path.slice(0, -1));
+        if (!target) return false;
+
+        const oldValue = target[key];
+        target[key] = value;
+        this.#stateChanged(Array.isArray(target) ? [path, [...path.slice(0, -1), "length"]] : [path], [{ path, oldValue, newValue: value }]);
+        return true;
+    };
+
+    // Returns the object holding the last key of a state path, replacing missing values on the way with objects, or arrays for numeric keys.
+    // Other values on the way are not replaced, they are reported as errors and null is returned.
+    // ["settings", "tags", 0] >> state.settings.tags, creating { settings: { tags: [] } }
+    #createParent = (path) => path.slice(0, -1).reduce((x, key, i) => {
+        if (x === null) return null;
+        if (x[key] === undefined || x[key] === null) x[key] = typeof path[i + 1] === "number" ? [] : {};
+        if (typeof x[key] === "object") return x[key];
+
+        JSBinder.#error(`Can not set '${JSBinder.#formatPath(path)}', '${JSBinder.#formatPath(path.slice(0, i + 1))}' is not an object`);
+        return null;
+    }, this.#state);
+
+    #changedPaths = [];
+
+    // Changes reported by the 'stateupdated' event. [{ path, oldValue, newValue, origin, element }, ...]
+    #changes = [];
+
+    // Origin of the changes made while running a callback, overriding the origin given to #stateChanged. See #withOrigin.
+    #origin = null;
+
+    // Runs 'callback' with changes reported as made by 'origin', and the 'element' of a directive. The outermost origin is kept.
+    // this.#withOrigin("data-onclick", obj)(() => statementsTree.evaluate());
+    #withOrigin = (origin, element = null) => (callback) => {
+        const previous = this.#origin;
+        this.#origin = previous ?? { origin, element };
+
+        try {
+            return callback();
+        }
+        finally {
+            this.#origin = previous;
+        }
+    };
+
+    // Queues a refresh of the bindings depending on the changed state 'paths'.
+    // 'changes' are reported with 'origin' ("setState", "api", "history"...) by the 'stateupdated' event.
+    #stateChanged = (paths, changes = [], origin = "api") => {
+        const source = this.#origin ?? { origin, element: null };
+        this.#changes.push(...changes.map((change) => ({ ...change, ...source })));
+        this.#changedPaths.push(...paths);
+        this.#stateVersion++;
+        this.#stateUpdated = true;
+        this.#needsRefresh = true;
+        this.#queueTasks();
+    };
+
+     // Expression solver - Parses and evaluates JavaScript-like expressions in bindings.
+     // Handles operators, function and method calls, member access, ternary expressions, and respects operator precedence.
+    static #Solver = class {
+        static #ASSIGNMENT_OPERATORS = ["=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "^=", "|=", "&&=", "||=", "??="];
+        static #OPERATORS = new Set(["?", ":", ";", "(", ")", "[", "]", "{", "}", ".", "...", ",", "=>", "++", "--", "=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "^=", "|=", "&&=", "||=", "??=", "?.", "typeof", "in", "!!", "!", "~", "<<", ">>", ">>>", "**", "*", "/", "%", "+", "-", ">=", ">", "<=", "<", "===", "==", "!==", "!=", "&", "^", "|", "&&", "||", "??"]);
+
+        static #isName = (x) => typeof x === "string" && !!x.match(/^\$?[a-zA-Z_][0-9a-zA-Z_]*$/) && !["true", "false", "null", "undefined", "Infinity", "NaN"].includes(x) && !JSBinder.#Solver.#isOperator(x);
+        static #isFunction = (x) => typeof x === "string" && !!x.match(/^#[a-zA-Z]{1}[0-9a-zA-Z_]*$/);
+        static #isOperator = (x) => typeof x === "string" && JSBinder.#Solver.#OPERATORS.has(x);
+
+        // Tokenizer - Splits an expression into tokens.
+        static #Tokenizer = class {
+            // Strings, numbers, names (@alias, #function, variable), {index_key} placeholders and operators (longest first).
+            // 'typeof', 'in' and 'matches' are tokenized as names and recognized by the TreeBuilder.
+            // Regular expression literal, only read after 'matches'. /@corp\.com$/i
+            static #RGX_REGEX = /\/((?:\\.|\[(?:\\.|[^\]\\])*\]|[^/\\[])+)\/([a-z]*)/y;
+            // Numeric member name, read after '.' so chained indexes are not read as decimals. "grid.0.1"
+            static #RGX_INDEX = /\s*(\d+)\s*/y;
+            static #RGX_TOKEN = /\s*(\d+(?:\.\d+)?|[#@$]?[a-zA-Z_][0-9a-zA-Z_]*|\{\d[0-9a-zA-Z_]*\}|\.\.\.|=>|>>>=|>>>|===|!==|\*\*=|<<=|>>=|&&=|\|\|=|\?\?=|\?\.(?!\d)|!!|<<|>>|\*\*|>=|<=|==|!=|&&|\|\||\?\?|\+\+|--|[+\-*/%&^|]=|[?:;()[\]{}.,!~*/%+\-<>&^|=])\s*/y;
+
+            // Returns tokens and their character positions, with the end of the expression as last position.
+            // "#round(x) + 1" >> [["#round", "(", "x", ")", "+", "1"], [0, 6, 7, 8, 10, 12, 13]]
+            tokenize = (exp) => {
+                const rgx = JSBinder.#Solver.#Tokenizer.#RGX_TOKEN;
+                const parts = [];
+                const positions = [];
+
+                exp = String(exp).trimEnd();
+                rgx.lastIndex = 0;
+
+                while (rgx.lastIndex < exp.length) {
+                    const index = rgx.lastIndex;
+                    const position = exp.length - exp.slice(index).trimStart().length;
+
+                    // String and template literals are kept as one token. "'it\\'s'", "`a ${b}`"
+                    if (JSBinder.#Lexer.isQuote(exp[position])) {
+                        const end = JSBinder.#Lexer.skipLiteral(exp, position);
+
+                        if (end < 0)
+                            throw Object.assign(new Error(`Unterminated string`), { position });
+
+                        parts.push(exp.slice(position, end));
+                        positions.push(position);
+                        rgx.lastIndex = end;
+                        continue;
+                    }
+
+                    // "email matches /@corp\.com$/" >> ["email", "matches", "/@corp\.com$/"]
+                    if (parts.at(-1) === "matches" && exp[position] === "/") {
+                        const regex = JSBinder.#Solver.#Tokenizer.#RGX_REGEX;
+                        regex.lastIndex = position;
+                        const literal = regex.exec(exp)?.[0];
+
+                        if (literal !== undefined) {
+                            parts.push(literal);
+                            positions.push(position);
+                            rgx.lastIndex = position + literal.length;
+                            continue;
+                        }
+                    }
+
+                    // "grid.0.1" >> ["grid", ".", "0", ".", "1"]
+                    if (parts.at(-1) === "." && /\d/.test(exp[position])) {
+                        const digits = JSBinder.#Solver.#Tokenizer.#RGX_INDEX;
+                        digits.lastIndex = position;
+                        const m = digits.exec(exp);
+
+                        parts.push(m[1]);
+                        positions.push(position);
+                        rgx.lastIndex = digits.lastIndex;
+                        continue;
+                    }
+
+                    const m = rgx.exec(exp);
+
+                    if (!m)
+                        throw Object.assign(new Error(`Unexpected character '${exp[position]}'`), { position });
+
+                    parts.push(m[1]);
+                    positions.push(position);
+                }
+
+                positions.push(exp.length);
+                return [parts, positions];
+            };
+        };
+
+        // TreeBuilder - Constructs the AST from tokens.
+        //
+        // "a"                   >> "a"
+        // "!a"                  >> ["!", "a"]
+        // "a + b"               >> ["a", "+", "b"]
+        // "a ? b : c"           >> ["a", "?", "b", ":", "c"]
+        // "a.b"                 >> ["a", ".", "b"]
+        // "a[b]"                >> ["a", "[", "b"]
+        // "#fn(a, b)"           >> ["#fn", "(", ["a", "b"]]
+        // "a.b.join(', ')"      >> [["a", ".", "b"], ".", "join"], "(", ["', '"]]
+        // "[a, ...b]"           >> ["[]", ["a", ["...", "b"]]]
+        // "{a, 'b': 1, [c]: 2}" >> ["{}", [["'a'", "a"], ["'b'", "1"], ["c", "2"]]]
+        // "{...a, b: 1}"        >> ["{}", [["...", "a"], ["'b'", "1"]]]
+        // "a | f1 | f2:1:b"     >> [["a", "|", "f1", []], "|", "f2", ["1", "b"]]
+        // "(a, b) => a + b"     >> [["a", "b"], "=>", ["a", "+", "b"]]
+        // "`a ${b} c`"          >> ["`", ["a ", " c"], ["b"]]
+        // "user?.address.city"  >> [["user", "?.", "address"], ".", "city"]
+        // "x matches /^a/i"     >> ["x", "matches", ["/", /^a/i]]
+        //
+        // Statements (data-onclick, data-onchange):
+        // "a = 1; b += a"       >> [";", [["a", "=", "1"], ["b", "+=", "a"]]]
+        // "i++"                 >> ["i", "++"]
+        // "ok && (sent = true)" >> ["ok", "&&", ["sent", "=", "true"]]
+        static #TreeBuilder = class {
+            #parts;
+            #positions;
+            #pos = 0;
+            #depth = 0;
+            #statements = false;
+
+            constructor(parts, positions)
+            {
+                this.#parts = parts;
+                this.#positions = positions;
+            }
+
+            // Binary operators grouped by precedence, lowest first.
+            static #PRECEDENCE = [["??"], ["||"], ["&&"], ["|"], ["^"], ["&"], ["===", "==", "!==", "!="], [">=", ">", "<=", "<", "in", "matches"], ["<<", ">>", ">>>"], ["+", "-"], ["*", "/", "%"]];
+            static #PREFIX_OPERATORS = ["!!", "!", "~", "-", "+", "typeof"];
+
+            build = () => {
+                const tree = this.#parsePipe();
+
+                if (this.#pos < this.#parts.length)
+                    this.#fail(`Unexpected '${this.#peek()}'`);
+
+                return tree;
+            };
+
+            // Statements separated by ';', allowing assignments and increment/decrement.
+            buildStatements = () => {
+                const statements = [];
+                this.#statements = true;
+
+                while (this.#pos < this.#parts.length) {
+                    if (this.#peek() === ";") { this.#next(); continue; }
+
+                    statements.push(this.#parsePipe());
+
+                    if (this.#pos < this.#parts.length) this.#expect(";");
+                }
+
+                return [";", statements];
+            };
+
+            // Throws an error with the character position of the token at 'index'.
+            #fail = (message, index = this.#pos) => { throw Object.assign(new Error(message), { position: this.#positions[Math.min(index, this.#parts.length)] }); };
+
+            #peek = (offset = 0) => this.#parts[this.#pos + offset];
+            #next = () => this.#parts[this.#pos++];
+            #expect = (part) => {
+                if (this.#peek() !== part)
+                    this.#fail(`Expected '${part}' but found '${this.#peek() ?? "end of expression"}'`);
+
+                return this.#next();
+            };
+
+            // Parses inside brackets, where '|' is the bitwise or operator instead of a pipe.
+            #nested = (parse) => { this.#depth++; try { return parse(); } finally { this.#depth--; } };
+
+            // (left to right) ["a", "|", "pad", ":", "10"] >> ["a", "|", "pad", ["10"]]
+            #parsePipe = () => {
+                let node = this.#parseTernary();
+
+                while (this.#peek() === "|") {
+                    this.#next();
+                    const name = this.#next();
+
+                    if (name === undefined || !name.match(/^[a-zA-Z]{1}[0-9a-zA-Z_]*$/))
+                        this.#fail(`Expected filter name but found '${name ?? "end of expression"}'`, this.#pos - 1);
+
+                    const args = [];
+                    while (this.#peek() === ":") { this.#next(); args.push(this.#parseTernary()); }
+
+                    node = [node, "|", name, args];
+                }
+
+                return node;
+            };
+
+            // Looks ahead for "x =>", "() =>" or "(x, y) =>".
+            #isLambda = () => {
+                const isName = JSBinder.#Solver.#isName;
+
+                if (isName(this.#peek())) return this.#peek(1) === "=>";
+                if (this.#peek() !== "(") return false;
+                if (this.#peek(1) === ")") return this.#peek(2) === "=>";
+
+                for (let i = 1; isName(this.#peek(i)); i += 2) {
+                    if (this.#peek(i + 1) === ")") return this.#peek(i + 2) === "=>";
+                    if (this.#peek(i + 1) !== ",") return false;
+                }
+
+                return false;
+            };
+
+            // ["x", "=>", "x", "*", "2"] >> [["x"], "=>", ["x", "*", "2"]]
+            // Lambda bodies are pure expressions, assignments are not allowed.
+            #parseLambda = () => {
+                const params = this.#peek() === "(" ? (this.#next(), this.#parseList(")", this.#next)) : [this.#next()];
+                this.#expect("=>");
+
+                const statements = this.#statements;
+                this.#statements = false;
+                const body = this.#parseTernary();
+                this.#statements = statements;
+
+                return [params, "=>", body];
+            };
+
+            // Assignable targets. "a", "a.b", "a[b + 1].c"
+            static #isReference = (node) =>
+                JSBinder.#Solver.#isName(node) || (Array.isArray(node) && node.length === 3 && [".", "["].includes(node[1]) && JSBinder.#Solver.#TreeBuilder.#isReference(node[0]));
+
+            // Assignment target, failing at token 'index' if 'node' is not assignable.
+            #reference = (node, index) => JSBinder.#Solver.#TreeBuilder.#isReference(node) ? node : this.#fail(`Invalid assignment target`, index);
+
+            // (right to left) a ? b : c ? d : e >> ["a", "?", "b", ":", ["c", "?", "d", ":", "e"]]
+            // (right to left, statements) a = b = c >> ["a", "=", ["b", "=", "c"]]
+            #parseTernary = () => {
+                if (this.#isLambda()) return this.#parseLambda();
+
+                const start = this.#pos;
+                const condition = this.#parseBinary(0);
+
+                if (this.#statements && JSBinder.#Solver.#ASSIGNMENT_OPERATORS.includes(this.#peek()))
+                    return [this.#reference(condition, start), this.#next(), this.#depth === 0 ? this.#parsePipe() : this.#parseTernary()];
+
+                if (this.#peek() !== "?") return condition;
+
+                this.#next();
+                const whenTrue = this.#parseTernary();
+                this.#expect(":");
+                return [condition, "?", whenTrue, ":", this.#parseTernary()];
+            };
+
+            // (left to right) ["4", "/", "2", "+", "2", "*", "4", "==", "10"] >> [[["4", "/", "2"], "+", ["2", "*", "4"]], "==", "10"]
+            #parseBinary = (level) => {
+                const operators = JSBinder.#Solver.#TreeBuilder.#PRECEDENCE[level];
+
+                if (operators === undefined) return this.#parseExponent();
+
+                let left = this.#parseBinary(level + 1);
+                while (operators.includes(this.#peek()) && (this.#peek() !== "|" || this.#depth > 0)) left = [left, this.#next(), this.#parseBinary(level + 1)];
+                return left;
+            };
+
+            // (right to left) ["2", "**", "3", "**", "2"] >> ["2", "**", ["3", "**", "2"]]
+            #parseExponent = () => {
+                const base = this.#parsePrefix();
+                return this.#peek() === "**" ? [base, this.#next(), this.#parseExponent()] : base;
+            };
+
+            // ["!", "!", "true"] >> ["!", ["!", "true"]]
+            // ["#round", "x"] >> ["#round", "(", ["x"]] (single argument call without parentheses)
+            // ["++", "i"] >> ["++", "i"] (statements)
+            #parsePrefix = () => {
+                if (JSBinder.#Solver.#TreeBuilder.#PREFIX_OPERATORS.includes(this.#peek())) return [this.#next(), this.#parsePrefix()];
+                if (this.#statements && ["++", "--"].includes(this.#peek())) { const operator = this.#next(); const start = this.#pos; return [operator, this.#reference(this.#parsePostfix(), start)]; }
+                if (JSBinder.#Solver.#isFunction(this.#peek()) && !["(", "?."].includes(this.#peek(1))) return [this.#next(), "(", [this.#parsePrefix()]];
+                return this.#parsePostfix();
+            };
+
+            // Member access and calls. ["a", ".", "b", "[", "0", "]"] >> [["a", ".", "b"], "[", "0"]
+            // Optional chaining. ["a", "?.", "b", "?.", "[", "0", "]", "?.", "(", ")"] >> [[["a", "?.", "b"], "?.[", "0"], "?.(", []]
+            // ["i", "++"] >> ["i", "++"] (statements)
+            #parsePostfix = () => {
+                const start = this.#pos;
+                let node = this.#parsePrimary();
+
+                while (true) {
+                    if (this.#statements && ["++", "--"].includes(this.#peek())) return [this.#reference(node, start), this.#next()];
+                    if (this.#peek() === ".") { this.#next(); node = [node, ".", this.#parseName()]; }
+                    else if (this.#peek() === "[") { this.#next(); node = [node, "[", this.#nested(this.#parseTernary)]; this.#expect("]"); }
+                    else if (this.#peek() === "(") { this.#next(); node = [node, "(", this.#nested(() => this.#parseList(")"))]; }
+                    else if (this.#peek() === "?." && this.#peek(1) === "[") { this.#next(); this.#next(); node = [node, "?.[", this.#nested(this.#parseTernary)]; this.#expect("]"); }
+                    else if (this.#peek() === "?." && this.#peek(1) === "(") { this.#next(); this.#next(); node = [node, "?.(", this.#nested(() => this.#parseList(")"))]; }
+                    else if (this.#peek() === "?.") { this.#next(); node = [node, "?.", this.#parseName()]; }
+                    else return node;
+                }
+            };
+
+            // Comma separated expressions until 'end', each item can be spread. ["a", ",", "...", "b", ")"] >> ["a", ["...", "b"]]
+            #parseList = (end, parseItem = this.#parseSpreadable) => {
+                const items = [];
+
+                while (this.#peek() !== end) {
+                    items.push(parseItem());
+
+                    if (this.#peek() === ",") this.#next();
+                    else if (this.#peek() !== end) this.#fail(`Expected ',' or '${end}' but found '${this.#peek() ?? "end of expression"}'`);
+                }
+
+                this.#expect(end);
+                return items;
+            };
+
+            // ["...", "a"] >> ["...", "a"], ["a"] >> "a"
+            #parseSpreadable = () => this.#peek() === "..." ? [this.#next(), this.#parseTernary()] : this.#parseTernary();
+
+            // Object literal entry as [key, value], or spread.
+            // "a" >> ["'a'", "a"], "a: 1" >> ["'a'", "1"], "'a b': 1" >> ["'a b'", "1"], "[a]: 1" >> ["a", "1"], "...a" >> ["...", "a"]
+            #parseEntry = () => {
+                if (this.#peek() === "...") return this.#parseSpreadable();
+
+                const part = this.#next();
+                let key;
+
+                if (part === "[") { key = this.#parseTernary(); this.#expect("]"); }
+                else if (part !== undefined && part.match(/^(['"]).*\1$/)) key = part;
+                else if (part !== undefined && part.match(/^(?:[a-zA-Z_][0-9a-zA-Z_]*|\d+)$/)) key = `'${part}'`;
+                else this.#fail(`Unexpected '${part ?? "end of expression"}' in object`, this.#pos - 1);
+
+                if (this.#peek() !== ":") {
+                    if (part === "[" || !part.match(/^[a-zA-Z_][0-9a-zA-Z_]*$/))
+                        this.#fail(`Expected ':' but found '${this.#peek() ?? "end of expression"}'`);
+
+                    return [key, part]; // Shorthand { a } >> { a: a }
+                }
+
+                this.#next();
+                return [key, this.#parseTernary()];
+            };
+
+            // Property name after '.'. Ex: "title" in "data.title" or "0" in "items.0".
+            #parseName = () => {
+                const part = this.#next();
+
+                if (part === undefined || !part.match(/^(?:[a-zA-Z_][0-9a-zA-Z_]*|\d+)$/))
+                    this.#fail(`Unexpected '${part ?? "end of expression"}' after '.'`, this.#pos - 1);
+
+                return part;
+            };
+
+            #parsePrimary = () => {
+                const part = this.#next();
+
+                if (part === "(") {
+                    const node = this.#nested(this.#parseTernary);
+                    this.#expect(")");
+                    return node;
+                }
+
+                if (part === "[") return ["[]", this.#nested(() => this.#parseList("]"))];
+                if (part === "{") return ["{}", this.#nested(() => this.#parseList("}", this.#parseEntry))];
+
+                if (part === undefined || JSBinder.#Solver.#isOperator(part))
+                    this.#fail(`Unexpected '${part ?? "end of expression"}'`, this.#pos - 1);
+
+                if (part[0] === "`") return this.#parseTemplate(part, this.#positions[this.#pos - 1]);
+                if (part[0] === "/") return this.#parseRegex(part, this.#pos - 1);
+
+                return part;
+            };
+
+            // Regular expression literal token at token 'index', validated when parsed. "/^a/i" >> ["/", /^a/i]
+            #parseRegex = (part, index) => {
+                const { 1: pattern, 2: flags } = part.match(/^\/([\s\S]*)\/([a-z]*)$/);
+
+                try {
+                    return ["/", new RegExp(pattern, flags)];
+                }
+                catch (e) {
+                    this.#fail(`Invalid regular expression ${part}`, index);
+                }
+            };
+
+            // Template literal token at character 'position'. "`a ${b} c`" >> ["`", ["a ", " c"], ["b"]]
+            #parseTemplate = (part, position) => {
+                const texts = [];
+                const expressions = [];
+                let start = 1;
+
+                for (let i = 1; i < part.length - 1; i++) {
+                    if (part[i] === "\\") { i++; continue; }
+                    if (!part.startsWith("${", i)) continue;
+
+                    const end = JSBinder.#Lexer.scan(part, i + 2, (j, depth) => depth === 0 && part[j] === "}");
+                    texts.push(JSBinder.#Lexer.unescape(part.slice(start, i)));
+                    expressions.push(JSBinder.#Solver.#TreeBuilder.#parseInner(part.slice(i + 2, end), position + i + 2));
+                    i = end;
+                    start = end + 1;
+                }
+
+                texts.push(JSBinder.#Lexer.unescape(part.slice(start, -1)));
+                return ["`", texts, expressions];
+            };
+
+            // Parses an expression found at character 'offset' of the full expression, keeping error positions relative to the full expression.
+            static #parseInner = (exp, offset) => {
+                try {
+                    const [parts, positions] = new JSBinder.#Solver.#Tokenizer().tokenize(exp);
+                    return new JSBinder.#Solver.#TreeBuilder(parts, positions).build();
+                }
+                catch (e) {
+                    throw Object.assign(e, { position: (e.position ?? 0) + offset });
+                }
+            };
+        };
+
+        // TreeEvaluator - Evaluates the constructed AST.
+        static #Evaluator = class {
+            #binder;
+
+            constructor(binder)
+            {
+                this.#binder = binder;
+            }
+
+            evaluate = (tree, context) => this.#evaluate(tree, context, {});
+
+            static #prefixOperations = new Map(
+            [
+                ["!!", (x) => !!x],
+                ["!",  (x) =>  !x],
+                ["~",  (x) =>  ~x],
+                ["-",  (x) => 0-x],
+                ["+",  (x) => 0+x],
+                ["typeof", (x) => typeof x],
+            ]);
+
+            static #infixOperations = new Map(
+            [
+                ["**",  (x, y) => x **  y], 
+                ["*",   (x, y) => x *   y], 
+                ["/",   (x, y) => x /   y], 
+                ["%",   (x, y) => x %   y], 
+                ["+",   (x, y) => x +   y], 
+                ["-",   (x, y) => x -   y], 
+                ["<<",  (x, y) => x <<  y],
+                [">>",  (x, y) => x >>  y],
+                [">>>", (x, y) => x >>> y],
+                ["===", (x, y) => x === y],
+                ["==",  (x, y) => x ==  y],
+                ["!==", (x, y) => x !== y],
+                ["!=",  (x, y) => x !=  y],
+                [">=",  (x, y) => x >=  y],
+                [">",   (x, y) => x >   y],
+                ["<=",  (x, y) => x <=  y],
+                ["<",   (x, y) => x <   y],
+                ["&",   (x, y) => x &   y],
+                ["^",   (x, y) => x ^   y],
+                ["|",   (x, y) => x |   y],
+                ["in",  (x, y) => JSBinder.#Solver.#Evaluator.#contains(y, x)],
+                ["matches", (x, y) => x !== undefined && x !== null && new RegExp(y).test(x)],
+            ]);
+
+            // 'in' operator. Arrays, Sets and strings test for the value, Maps and objects for an own key.
+            // "'admin' in ['admin', 'user']" >> true, "'name' in { name: 'x' }" >> true
+            static #contains = (obj, x) => {
+                if (Array.isArray(obj) || typeof obj === "string") return obj.includes(x);
+                if (obj instanceof Set || obj instanceof Map) return obj.has(x);
+                return obj !== null && typeof obj === "object" && Object.hasOwn(obj, x);
+            };
+
+            // Operators used by compound assignments. "+=" >> "+"
+            static #operation = (operator) => JSBinder.#Solver.#Evaluator.#logicalOperations.get(operator)
+                ?? ((x, y) => JSBinder.#Solver.#Evaluator.#infixOperations.get(operator)(x, y()));
+
+            // Short-circuit operators, 'y' is a function evaluating the right operand only when needed.
+            static #logicalOperations = new Map(
+            [
+                ["&&",  (x, y) => x &&  y()],
+                ["||",  (x, y) => x ||  y()],
+                ["??",  (x, y) => x ??  y()],
+            ]);
+
+            // Marks an optional chain ending early on a nullish value. user?.address.city >> undefined
+            static #SHORT_CIRCUIT = Symbol("short-circuit");
+            static #CHAIN_LINKS = [".", "[", "(", "?.", "?.[", "?.("];
+
+            // Methods that can be called on values in expressions. None of them mutates the value.
+            // [test, prototype, [method names]]
+            static #safeMethods =
+            [
+                [(x) => typeof x === "string", String.prototype, ["at", "charAt", "charCodeAt", "codePointAt", "concat", "endsWith", "includes", "indexOf", "lastIndexOf", "localeCompare", "match", "normalize", "padEnd", "padStart", "repeat", "replace", "replaceAll", "slice", "split", "startsWith", "substring", "toLocaleLowerCase", "toLocaleUpperCase", "toLowerCase", "toString", "toUpperCase", "trim", "trimEnd", "trimStart"]],
+                [(x) => typeof x === "number", Number.prototype, ["toExponential", "toFixed", "toLocaleString", "toPrecision", "toString"]],
+                [(x) => Array.isArray(x), Array.prototype, ["at", "concat", "every", "filter", "find", "findIndex", "findLast", "findLastIndex", "flat", "flatMap", "includes", "indexOf", "join", "lastIndexOf", "map", "reduce", "reduceRight", "slice", "some", "toReversed", "toSorted", "toSpliced", "with"]],
+                [(x) => x instanceof Date, Date.prototype, ["getDate", "getDay", "getFullYear", "getHours", "getMilliseconds", "getMinutes", "getMonth", "getSeconds", "getTime", "toDateString", "toISOString", "toLocaleDateString", "toLocaleString", "toLocaleTimeString", "toString", "toTimeString", "valueOf"]],
+            ];
+
+            // ["#round", "(", [5.5]] >> 6
+            // [["title", ".", "toUpperCase"], "(", []] >> "TITLE"
+            // 'optional' (?.()) ends the chain instead of reporting an error when the function or method does not exist.
+            // Arguments are only evaluated when the call is made.
+            #call = (callee, optional, args, evaluate, locals) => {
+                const SHORT_CIRCUIT = JSBinder.#Solver.#Evaluator.#SHORT_CIRCUIT;
+
+                if (JSBinder.#Solver.#isFunction(callee)) {
+                    const func = this.#binder.#functions[callee];
+
+                    if (func === undefined)
+                        return optional ? SHORT_CIRCUIT : JSBinder.#error(`Unknown function '${callee}'`);
+
+                    return func(...this.#evaluateItems(args, evaluate));
+                }
+
+                if (Array.isArray(callee) && [".", "?."].includes(callee[1])) {
+                    const [obj, path] = this.#chain(callee[0], evaluate, locals);
+                    const method = callee[2];
+
+                    if (path !== null) this.#binder.#recordRead(path);
+
+                    if (obj === SHORT_CIRCUIT || (callee[1] === "?." && (obj === undefined || obj === null))) return SHORT_CIRCUIT;
+                    if (optional && (obj?.[method] === undefined || obj?.[method] === null)) return SHORT_CIRCUIT;
+
+                    const prototype = JSBinder.#Solver.#Evaluator.#safeMethods.find(([test, , names]) => test(obj) && names.includes(method))?.[1];
+
+                    if (prototype === undefined)
+                        return JSBinder.#error(`Method '${method}' is not allowed on ${Array.isArray(obj) ? "array" : typeof obj}`);
+
+                    return prototype[method].apply(obj, this.#evaluateItems(args, evaluate));
+                }
+
+                return JSBinder.#error(`Expression is not a function`);
+            };
+
+            // Member access and calls, returning [value, path] with the state path of the value, or null if it is not read from state.
+            // An optional link (?., ?.[, ?.() on a nullish value ends the whole chain.
+            // [["user", "?.", "address"], ".", "city"] >> [user?.address.city, ["user", "address", "city"]]
+            #chain = (tree, evaluate, locals) => {
+                const SHORT_CIRCUIT = JSBinder.#Solver.#Evaluator.#SHORT_CIRCUIT;
+
+                if (!Array.isArray(tree) || tree.length !== 3 || !JSBinder.#Solver.#Evaluator.#CHAIN_LINKS.includes(tree[1]))
+                    return (JSBinder.#Solver.#isName(tree) && !Object.hasOwn(locals, tree)) ? [this.#binder.#resolveValue(tree), [tree]] : [evaluate(tree), null];
+
+                const [node, link, arg] = tree;
+                const optional = link.startsWith("?.");
+
+                if (link.endsWith("(")) return [this.#call(node, optional, arg, evaluate, locals), null];
+
+                const [obj, path] = this.#chain(node, evaluate, locals);
+
+                if (obj === SHORT_CIRCUIT || (optional && (obj === undefined || obj === null))) return [SHORT_CIRCUIT, path];
+
+                const key = link.endsWith("[") ? evaluate(arg) : arg;
+                return [JSBinder.#Solver.#Evaluator.#member(obj, key), path !== null ? [...path, key] : null];
+            };
+
+            // ["value", "|", "currency", ["'SEK'"]] >> filters.currency(value, "SEK")
+            #filter = (name, value, args) => {
+                const func = this.#binder.#filters[name];
+
+                if (func === undefined)
+                    return JSBinder.#error(`Unknown filter '${name}'`);
+
+                return func(value, ...args);
+            };
+
+            // [1, ["...", [2, 3]]] >> [1, 2, 3]
+            #evaluateItems = (items, evaluate) =>
+                items.flatMap((x) => (Array.isArray(x) && x[0] === "...") ? [...(evaluate(x[1]) ?? [])] : [evaluate(x)]);
+
+            // [["'a'", 1], ["...", { b: 2 }]] >> { a: 1, b: 2 }
+            #evaluateEntries = (entries, evaluate) =>
+                entries.reduce((obj, entry) => {
+                    if (entry[0] === "...") return { ...obj, ...evaluate(entry[1]) };
+
+                    const key = evaluate(entry[0]);
+
+                    if (JSBinder.#isForbiddenKey(key))
+                        throw new Error(JSBinder.#message("Path includes forbidden keywords"));
+
+                    return { ...obj, [key]: evaluate(entry[1]) };
+                }, {});
+
+            // Path in state for an assignment target. [["items", "[", ["i", "+", 1]], ".", "done"] >> ["items", 2, "done"]
+            #evaluatePath = (tree, evaluate) => {
+                const path = Array.isArray(tree) ? [...this.#evaluatePath(tree[0], evaluate), tree[1] === "." ? tree[2] : evaluate(tree[2])] : [tree];
+
+                if (JSBinder.#isForbiddenKey(path.at(-1)))
+                    throw new Error(JSBinder.#message("Path includes forbidden keywords"));
+
+                return path;
+            };
+
+            // [["count"], "+=", 1] >> state.count = state.count + 1
+            // Returns the assigned value.
+            #assign = (target, operator, value, evaluate) => {
+                const path = this.#evaluatePath(target, evaluate);
+                const result = operator === "=" ? value() : JSBinder.#Solver.#Evaluator.#operation(operator.slice(0, -1))(this.#binder.#readState(path), value);
+                this.#binder.#mutateState(path, result);
+                return result;
+            };
+
+            // ["i", "++"] >> state.i = state.i + 1, returns the value before (postfix) or after (prefix) the update.
+            #update = (target, operator, prefix, evaluate) => {
+                const path = this.#evaluatePath(target, evaluate);
+                const current = this.#binder.#readState(path);
+                const result = operator === "++" ? current + 1 : current - 1;
+                this.#binder.#mutateState(path, result);
+                return prefix ? result : current;
+            };
+
+            // ["data", ".", "title"] >> state.data.title
+            static #member = (obj, key) => {
+                if (JSBinder.#isForbiddenKey(key))
+                    throw new Error(JSBinder.#message("Path includes forbidden keywords"));
+
+                return (obj === undefined || obj === null) ? undefined : obj[key];
+            };
+
+            // [["x"], "=>", ["x", "*", 2]] >> (x) => x * 2
+            // Lambdas are pure expressions with parameters scoped to the lambda body.
+            #lambda = (params, body, context, locals) =>
+                (...args) => this.#evaluate(body, context, { ...locals, ...Object.fromEntries(params.map((param, i) => [param, args[i]])) });
+
+            // 'locals' holds lambda parameters, resolved before aliases and state.
+            #evaluate = (tree, context, locals) => {
+                const evaluate = (x) => this.#evaluate(x, context, locals);
+
+                // ["'string'", "variable_eq_1", "true", ...] >> ["string", 1, true, ...]
+                if (!Array.isArray(tree)) {
+                    if (Object.hasOwn(locals, tree)) return locals[tree];
+
+                    // Read is recorded after resolving, as computed properties know the state paths they depend on once computed.
+                    const value = this.#binder.#resolveValue(tree, context);
+                    if (JSBinder.#Solver.#isName(tree)) this.#binder.#recordRead([tree]);
+                    return value;
+                }
+
+                // ["[]", [1, 2]] >> [1, 2], ["{}", [["'a'", 1]]] >> { a: 1 }
+                if (tree[0] === "[]") return this.#evaluateItems(tree[1], evaluate);
+                if (tree[0] === "{}") return this.#evaluateEntries(tree[1], evaluate);
+
+                // ["/", /^a/i] >> /^a/i (a copy, as 'g' and 'y' flags make regular expressions stateful)
+                if (tree[0] === "/") return new RegExp(tree[1]);
+
+                // ["`", ["a ", " c"], ["b"]] >> `a ${b} c`
+                if (tree[0] === "`") return tree[1].slice(1).reduce((text, x, index) => `${text}${evaluate(tree[2][index])}${x}`, tree[1][0]);
+
+                // [";", [statement1, statement2]] >> result of last statement
+                if (tree[0] === ";") return tree[1].reduce((_, x) => evaluate(x), undefined);
+
+                // ["++", "i"] / ["i", "++"]
+                if (tree.length === 2 && ["++", "--"].includes(tree[0])) return this.#update(tree[1], tree[0], true, evaluate);
+                if (tree.length === 2 && ["++", "--"].includes(tree[1])) return this.#update(tree[0], tree[1], false, evaluate);
+
+                // [1234.5, "|", "currency", ["'SEK'"]] >> "1234.50 SEK"
+                if (tree.length === 4) return this.#filter(tree[2], evaluate(tree[0]), tree[3].map(evaluate));
+
+                // ["!", true] >> false
+                if (tree.length === 2) return JSBinder.#Solver.#Evaluator.#prefixOperations.get(tree[0])(evaluate(tree[1]));
+
+                switch (tree[1])
+                {
+                    // [[1, "==", 2], "?", "'yes'", ":", "'no'" ] >> "no"
+                    case "?": return evaluate(tree[0]) ? evaluate(tree[2]) : evaluate(tree[4]);
+                    case ".": case "[": case "(": case "?.": case "?.[": case "?.(":
+                        return JSBinder.#apply(...this.#chain(tree, evaluate, locals))((value, path) => {
+                            if (path !== null) this.#binder.#recordRead(path);
+                            return value === JSBinder.#Solver.#Evaluator.#SHORT_CIRCUIT ? undefined : value;
+                        });
+                    case "=>": return this.#lambda(tree[0], tree[2], context, locals);
+                }
+
+                // ["count", "+=", 1]
+                if (JSBinder.#Solver.#ASSIGNMENT_OPERATORS.includes(tree[1]))
+                    return this.#assign(tree[0], tree[1], () => evaluate(tree[2]), evaluate);
+
+                // [true, "&&", false] >> false
+                if (JSBinder.#Solver.#Evaluator.#logicalOperations.has(tree[1]))
+                    return JSBinder.#Solver.#Evaluator.#logicalOperations.get(tree[1])(evaluate(tree[0]), () => evaluate(tree[2]));
+
+                // [1, "+", 2] >> 3
+                return JSBinder.#Solver.#Evaluator.#infixOperations.get(tree[1])(evaluate(tree[0]), evaluate(tree[2]));
+            };
+        };
+
+        // Main ExpressionTree class - Coordinates the parsing and evaluation.
+        static ExpressionTree = class {
+            #tree;
+            #evaluator;
+            #error = null;
+
+            // 'statements' allows a list of assignments separated by ';'. Ex: "count += 1; open = !open"
+            constructor (binder, exp, statements = false)
+            {
+                this.#tree = this.#buildTree(exp, statements);
+                this.#evaluator = new JSBinder.#Solver.#Evaluator(binder);
+            };
+
+            // Incorrect expressions evaluates to undefined, with the parse error available from 'error'.
+            #buildTree = (exp, statements) => {
+                try {
+                    const [parts, positions] = new JSBinder.#Solver.#Tokenizer().tokenize(exp);
+                    const builder = new JSBinder.#Solver.#TreeBuilder(parts, positions);
+                    return statements ? builder.buildStatements() : builder.build();
+                } catch (e) {
+                    this.#error = { message: e.message, position: e.position ?? 0 };
+                    return "undefined";
+                }
+            };
+
+            // Parse error as { message, position }, or null.
+            get error() { return this.#error; }
+
+            // Recursive evaluation of expression tree.
+            // 'context' holds alias values (without '@') available to the expression. Ex: { item: {...} } for "@item.title".
+            evaluate = (context = {}) => this.#evaluator.evaluate(this.#tree, context);
         };
     };
 
-    #evaluate = (expression) => (new JSBinder.#Solver.ExpressionTree(this, expression)).evaluate();
+    // Returns a parsed expression tree, reusing cached trees for previously parsed expressions.
+    // Parse errors are reported with the element 'obj' and 'attribute' the expression was found in.
+    // 'statements' parses a list of assignments instead of an expression, used by event directives.
+    // 'within' is the attribute value the expression was taken from and its index in it, so positions point into the whole value.
+    #compile = (expression, obj = null, attribute = null, statements = false, within = { value: expression, index: 0 }) => {
+        const key = statements ? `;${expression}` : expression;
+        const tree = this.#expressionCache.get(key) ?? this.#expressionCache.set(key, new JSBinder.#Solver.ExpressionTree(this, expression, statements));
+        // Items repeated by data-each and data-for only differ in their index placeholders or numbers, and report the error once.
+        const location = `${attribute}:${within.value.replace(/\{\d[0-9a-zA-Z_]*\}|\d+/g, "0")}`;
+
+        if (tree.error !== null && !this.#reportedErrors.has(location)) {
+            this.#reportedErrors.add(location);
+            const source = (attribute !== null ? ` in ${attribute}` : "") + (obj !== null ? ` on <${obj.tagName.toLowerCase()}>` : "");
+            const position = within.index + tree.error.position;
+            this.#templateError(`${tree.error.message} at position ${position}${source}:\n    ${within.value}\n    ${" ".repeat(position)}^`, obj);
+        }
+
+        return tree;
+    };
+
+    // Reports incorrect expressions and directives. Throws in strict mode.
+    #templateError = (msg, obj = null) => {
+        if (this.#settings.strict)
+            throw new Error(JSBinder.#message(msg));
+
+        JSBinder.#error(msg, ...(obj !== null ? [obj] : []));
+    };
 
 
     static #TYPE = { CHECKBOX: "checkbox", INPUT: "input", SELECT: "select", IMG: "img", IFRAME: "iframe", TEXTAREA: "textarea" };
@@ -524,15 +2153,24 @@ class JSBinder
     // Helper function to find directives in the DOM not inside a template or other directive.
     #queryDirectives = (selector) => (callback) => {
         [...this.#settings.root.querySelectorAll(selector)]
-            .filter((obj) => !["[data-if]", "[data-each]", "[data-for]", "template"].some(x => !!obj.parentNode.closest(x)))
+            .filter((obj) => !["[data-if]", "[data-else-if]", "[data-else]", "[data-case]", "[data-default]", "[data-each]", "[data-for]", "template"].some(x => !!obj.parentNode.closest(x)))
             .filter((obj) => obj.closest("[data-jsbinder]") === this.#settings.root)
             .forEach((obj) => callback(obj));
     };
 
+    // Helper function to refresh the bindings affected by the 'changed' state paths (all when null), storing the state paths each binding read.
+    // Bindings not yet refreshed are always refreshed.
+    #refreshBindings = (bindings, changed) => (callback) => {
+        bindings.forEach((binding) => {
+            if (changed !== null && binding.dependencies !== undefined && !binding.dependencies.some((x) => changed.some((y) => JSBinder.#overlaps(x, y)))) return;
+            binding.dependencies = this.#track(() => callback(binding));
+        });
+    };
+
     // Helper function to find childNodes of parent not inside a template or other directive.
     #iterateChildNodes = (parent) => (callback) => {
         [...parent.childNodes]
-            .filter((obj) => obj.nodeType !== Node.ELEMENT_NODE || !["[data-if]", "[data-each]", "[data-for]", "template"].some(x => !!obj.matches(x)))
+            .filter((obj) => obj.nodeType !== Node.ELEMENT_NODE || !["[data-if]", "[data-else-if]", "[data-else]", "[data-case]", "[data-default]", "[data-each]", "[data-for]", "template"].some(x => !!obj.matches(x)))
             .filter((obj) => obj.nodeType !== Node.ELEMENT_NODE || !obj.matches("[data-jsbinder]"))
             .forEach((obj) => callback(obj));
     };
@@ -545,51 +2183,287 @@ class JSBinder
     // memo.check(data) >> boolean (true on first call or if data is different from last check.)
     static #ChangeDetector = class { #current = null; #first = true; check = (value) => { if (this.#first === true || value !== this.#current) { this.#current = value; this.#first = false; return true; } return false; } };
 
+    // CSS class transitions for elements added and removed by data-if, data-each and data-for with data-transition="name".
+    //
+    // enter: name-enter-from name-enter-active >> (next frame) name-enter-active name-enter-to >> (transitionend / animationend) removed classes
+    // leave: name-leave-from name-leave-active >> (next frame) name-leave-active name-leave-to >> (transitionend / animationend) removed element
+    // move:  transform to old position >> name-move without transform >> (transitionend) removed class (FLIP)
+    //
+    // All phases are skipped when 'name' is null or the user prefers reduced motion.
+    static #Transition = class {
+        static #running = new WeakMap();
+
+        static #enabled = (name) => name !== null && !(window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false);
+        static #nextFrame = (callback) => requestAnimationFrame(() => requestAnimationFrame(callback));
+
+        // Returns the longest transition/animation (duration + delay) in ms and the number of end events to wait for.
+        static #timing = (obj) => {
+            const style = getComputedStyle(obj);
+            const ms = (value) => (value.trim().endsWith("ms") ? 1 : 1000) * (parseFloat(value) || 0);
+            const times = (type) => JSBinder.#apply(style[`${type}Duration`].split(","), style[`${type}Delay`].split(","))((durations, delays) =>
+                durations.map((x, i) => ms(x) > 0 ? ms(x) + ms(delays[i % delays.length]) : 0).filter((x) => x > 0));
+            const all = [...times("transition"), ...times("animation")];
+
+            return { timeout: Math.max(0, ...all), count: all.length };
+        };
+
+        // Calls 'done' when all transitions and animations of 'obj' have ended, or after their longest time as fallback.
+        // A new phase on 'obj' ends the running one first.
+        static #whenEnded = (obj, done) => {
+            JSBinder.#Transition.#running.get(obj)?.();
+
+            const { timeout, count } = JSBinder.#Transition.#timing(obj);
+            if (count === 0) return done();
+
+            let ended = 0;
+            const onEnd = (e) => { if (e.target === obj && ++ended >= count) finish(); };
+            const finish = () => {
+                clearTimeout(timer);
+                obj.removeEventListener("transitionend", onEnd);
+                obj.removeEventListener("animationend", onEnd);
+                JSBinder.#Transition.#running.delete(obj);
+                done();
+            };
+            const timer = setTimeout(finish, timeout + 50);
+
+            obj.addEventListener("transitionend", onEnd);
+            obj.addEventListener("animationend", onEnd);
+            JSBinder.#Transition.#running.set(obj, finish);
+        };
+
+        static #run = (obj, name, type, done = () => {}) => {
+            const [from, active, to] = ["from", "active", "to"].map((x) => `${name}-${type}-${x}`);
+
+            JSBinder.#Transition.#running.get(obj)?.();
+            obj.classList.add(from, active);
+
+            JSBinder.#Transition.#running.set(obj, () => { JSBinder.#Transition.#running.delete(obj); obj.classList.remove(from, active); done(); });
+            JSBinder.#Transition.#nextFrame(() => {
+                if (!JSBinder.#Transition.#running.has(obj)) return;
+                JSBinder.#Transition.#running.delete(obj);
+
+                obj.classList.remove(from);
+                obj.classList.add(to);
+                JSBinder.#Transition.#whenEnded(obj, () => { obj.classList.remove(active, to); done(); });
+            });
+        };
+
+        // Runs the enter phases on an added element.
+        static enter = (obj, name) => { if (JSBinder.#Transition.#enabled(name)) JSBinder.#Transition.#run(obj, name, "enter"); };
+
+        // Runs the leave phases on an element and removes it when they have ended (immediately without transition).
+        // The element is replaced by a copy during the transition, so its bindings are no longer refreshed.
+        static leave = (obj, name) => {
+            if (!JSBinder.#Transition.#enabled(name)) return obj.remove();
+
+            const copy = JSBinder.#replaceObject(obj)(obj.cloneNode(true));
+            JSBinder.#Transition.#run(copy, name, "leave", () => copy.remove());
+        };
+
+        // Returns the positions of elements before they are moved, used by move().
+        static positions = (objs, name) => new Map(JSBinder.#Transition.#enabled(name) ? objs.map((obj) => [obj, obj.getBoundingClientRect()]) : []);
+
+        // Animates elements from their old 'positions' to their current position.
+        static move = (positions, name) => {
+            const isMoved = ([obj, from, to]) => obj.isConnected && (from.left !== to.left || from.top !== to.top);
+
+            // A running move is ended before measuring the new position, as its transform is included in the position.
+            const moved = [...positions]
+                .map(([obj, from]) => [obj, from, obj.getBoundingClientRect()])
+                .filter(isMoved)
+                .map(([obj, from]) => { if (obj.classList.contains(`${name}-move`)) JSBinder.#Transition.#running.get(obj)?.(); return [obj, from, obj.getBoundingClientRect()]; })
+                .filter(isMoved);
+
+            moved.forEach(([obj, from, to]) => {
+                obj.style.transitionDuration = "0s";
+                obj.style.transform = `translate(${from.left - to.left}px, ${from.top - to.top}px)`;
+            });
+
+            void document.body.offsetHeight; // Forces layout with the elements at their old positions.
+
+            moved.forEach(([obj]) => {
+                obj.classList.add(`${name}-move`);
+                obj.style.transitionDuration = obj.style.transform = "";
+                JSBinder.#Transition.#whenEnded(obj, () => obj.classList.remove(`${name}-move`));
+            });
+        };
+    };
+
     // If
     //
     // data-if="data.visible === true"
     // data.visible = true  >> <div data-if="data.visible === true">...</div> >> <div>...</div>
     // data.visible = false >> <div data-if="data.visible === true">...</div> >> <!-- if -->
     //
-    // event: jsbinder-if with e.detail.action = "add" / "remove".
+    // data-else-if="..." and data-else on the immediately following sibling elements form a chain with data-if.
+    // The first branch with a truthy expression is rendered, the others are replaced by a single comment placeholder.
+    //
+    // data.count = 0 >> <p data-if="count > 1">Many</p><p data-else-if="count === 1">One</p><p data-else>None</p> >> <p>None</p>
+    //
+    // data-transition="name" on a branch animates it with the JSBinder.#Transition enter/leave classes.
+    //
+    // event: jsbinder-if with e.detail.action = "add" / "remove" and e.detail.branch = index of the branch in the chain.
     #ifDirective = ((binder) => new class {
         #bindings = [];
         #pruneDetached = () => { this.#bindings = this.#bindings.filter((x) => document.body.contains(x.obj)); };
 
-        // Finds and stores data-if elements, replacing them with comment placeholders.
+        // Collects the data-else-if / data-else siblings following a data-if element, removing them from the DOM.
+        #chain = (obj) => {
+            const branches = [];
+
+            for (let next = obj.nextElementSibling; next !== null && branches.at(-1)?.expressionTree !== null; next = obj.nextElementSibling) {
+                if (next.hasAttribute("data-else-if")) {
+                    const expression = JSBinder.#consumeDataset(next)("elseIf");
+                    branches.push({ expressionTree: binder.#compile(expression, next, "data-else-if") });
+                } else if (next.hasAttribute("data-else")) {
+                    JSBinder.#consumeDataset(next)("else");
+                    branches.push({ expressionTree: null });
+                } else {
+                    break;
+                }
+
+                branches.at(-1).transition = JSBinder.#consumeDataset(next)("transition");
+                branches.at(-1).html = JSBinder.#cleanHTML(next.outerHTML);
+                next.remove();
+            }
+
+            return branches;
+        };
+
+        // Finds and stores data-if elements and their data-else-if / data-else siblings, replacing them with a comment placeholder.
         register = () => {
             this.#pruneDetached();
 
             binder.#queryDirectives("[data-if]")
                 ((obj) => {
-                    const expression = JSBinder.#consumeDataset(obj)("if");
+                    const [expression, transition] = JSBinder.#consumeDataset(obj)("if", "transition");
+                    const expressionTree = binder.#compile(expression, obj, "data-if");
                     const html = JSBinder.#cleanHTML(obj.outerHTML);
+                    const branches = [{ expressionTree, transition, html }, ...this.#chain(obj)];
                     const placeholder = JSBinder.#replaceObject(obj)(document.createComment("if"));
 
                     this.#bindings.push({
-                        obj: placeholder, 
-                        html, 
-                        expressionTree: new JSBinder.#Solver.ExpressionTree(binder, expression), 
+                        obj: placeholder, 
+                        branches, 
+                        branch: null,
+                        mounted: false,
+                        modified: new JSBinder.#ChangeDetector(),
+                    });
+                });
+
+            binder.#queryDirectives("[data-else-if], [data-else]")
+                ((obj) => {
+                    JSBinder.#consumeDataset(obj)("elseIf", "else");
+                    binder.#templateError("'else-if' and 'else' must directly follow an 'if' or 'else-if' element", obj);
+                });
+        };
+
+        // Swaps between the stored HTML of the first branch with a truthy expression and a comment placeholder.
+        refresh = (changed) => {
+            let counter = 0;
+
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
+                const branch = binding.branches.findIndex((x) => x.expressionTree === null || !!x.expressionTree.evaluate());
+                // Transitions are skipped on the first render.
+                const transitionOf = (index) => binding.mounted ? binding.branches[index].transition : null;
+
+                if (binding.modified.check(branch)) {
+                    if (binding.branch !== null || branch === -1)
+                        JSBinder.#dispatchEvent(binding.obj, "if", { action: "remove", branch: binding.branch });
+
+                    // The removed branch is kept after the placeholder until its leave transition has ended.
+                    if (binding.branch !== null) {
+                        const placeholder = document.createComment("if");
+                        binding.obj.before(placeholder);
+                        JSBinder.#Transition.leave(binding.obj, transitionOf(binding.branch));
+                        binding.obj = placeholder;
+                    }
+
+                    binding.branch = branch !== -1 ? branch : null;
+                    if (branch !== -1) {
+                        binding.obj = JSBinder.#replaceObject(binding.obj)(JSBinder.#deserializeHTML(binding.branches[branch].html));
+                        JSBinder.#Transition.enter(binding.obj, transitionOf(branch));
+                        JSBinder.#dispatchEvent(binding.obj, "if", { action: "add", branch });
+                        counter++;
+                    } else {
+                        binding.obj = JSBinder.#replaceObject(binding.obj)(document.createComment("if"));
+                    }
+                }
+
+                binding.mounted = true;
+            });
+
+            return counter;
+        };
+    })(this);
+
+    // Switch
+    //
+    // data-switch="..." on a container with data-case="..." (multiple values separated by ";") and data-default on its child elements.
+    // The switch expression is evaluated once, and only the first child with a case value equal (===) to it, or else data-default, is rendered.
+    //
+    // order.status = "shipped" >> <div data-switch="order.status"><p data-case="'pending'">...</p><p data-case="'shipped'; 'delivered'">On its way</p></div> >> <div><!-- case --><p>On its way</p></div>
+    //
+    // event: jsbinder-switch with e.detail.value = switch value and e.detail.case = index of the rendered child (-1 when none).
+    #switchDirective = ((binder) => new class {
+        #bindings = [];
+        #pruneDetached = () => { this.#bindings = this.#bindings.filter((x) => document.body.contains(x.obj)); };
+
+        // Finds data-switch elements and stores their data-case / data-default children, replacing them with comment placeholders.
+        register = () => {
+            this.#pruneDetached();
+
+            binder.#queryDirectives("[data-switch]")
+                ((obj) => {
+                    const expression = JSBinder.#consumeDataset(obj)("switch");
+                    const expressionTree = binder.#compile(expression, obj, "data-switch");
+                    const cases = [];
+
+                    [...obj.children]
+                        .filter((child) => child.matches("[data-case], [data-default]"))
+                        .forEach((child) => {
+                            const [values, fallback] = JSBinder.#consumeDataset(child)("case", "default");
+                            if (values !== null && JSBinder.#split(values).length === 0)
+                                return binder.#templateError("'case' must have at least one value", child);
+                            if (values === null && cases.some((x) => x.valueTrees === null))
+                                return binder.#templateError("'switch' can only have one 'default'", child);
+
+                            cases.push({
+                                valueTrees: values !== null ? JSBinder.#split(values).map((x) => binder.#compile(x, child, "data-case")) : null,
+                                html: JSBinder.#cleanHTML(child.outerHTML),
+                                obj: JSBinder.#replaceObject(child)(document.createComment("case")),
+                            });
+                        });
+
+                    this.#bindings.push({
+                        obj, 
+                        expressionTree, 
+                        cases, 
                         modified: new JSBinder.#ChangeDetector(),
                     });
                 });
         };
 
-        // Toggles visibility by swapping between stored HTML and comment placeholders based on expression results.
-        refresh = () => {
+        // Renders the matching case, replacing the previously rendered one with its comment placeholder.
+        refresh = (changed) => {
             let counter = 0;
 
-            this.#bindings.forEach((binding) => {
-                const result = !!binding.expressionTree.evaluate();
-                if (binding.modified.check(result)) {
-                    if (result === true) {
-                        binding.obj = JSBinder.#replaceObject(binding.obj)(JSBinder.#deserializeHTML(binding.html));
-                        JSBinder.#dispatchEvent(binding.obj, "if", { action: "add" });
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
+                const value = binding.expressionTree.evaluate();
+                const matched = binding.cases.findIndex((x) => x.valueTrees?.some((y) => y.evaluate() === value));
+                const index = matched !== -1 ? matched : binding.cases.findIndex((x) => x.valueTrees === null);
+                if (binding.modified.check(index)) {
+                    binding.cases
+                        .filter((x, i) => i !== index && x.obj.nodeType === Node.ELEMENT_NODE)
+                        .forEach((x) => { x.obj = JSBinder.#replaceObject(x.obj)(document.createComment("case")); });
+
+                    if (index !== -1) {
+                        const active = binding.cases[index];
+                        active.obj = JSBinder.#replaceObject(active.obj)(JSBinder.#deserializeHTML(active.html));
                         counter++;
-                    } else {
-                        JSBinder.#dispatchEvent(binding.obj, "if", { action: "remove" });
-                        binding.obj = JSBinder.#replaceObject(binding.obj)(document.createComment("if"));
                     }
+
+                    JSBinder.#dispatchEvent(binding.obj, "switch", { value, case: index });
                 }
             });
 
@@ -599,7 +2473,7 @@ class JSBinder
 
     // Each
     //
-    // data-each="@item in items" data-key="@item..." [data-where="..."] [data-skip="..."] [data-limit="..."] [data-orderby="..."] [data-distinct="..."]
+    // data-each="@item in items" data-key="@item..." [data-where="..."] [data-skip="..."] [data-limit="..."] [data-orderby="..."] [data-distinct="..."] [data-transition="..."]
     //
     // { items: ["a", "b", ...] }      >> <p data-each="@item in items" data-key="@item">{{@item}}</p>                                        >> <p>a</p><p>b</p>...
     // { items: [{title: "a"}, ...] }  >> <p data-each="@item in items" data-key="@item.title">{{@item.title}}</p>                            >> <p>a</p>...
@@ -620,43 +2494,46 @@ class JSBinder
 
             binder.#queryDirectives("[data-each]")
                 ((obj) => {
-                    const [expression, key, where, skip, limit, orderby, distinct] = JSBinder.#consumeDataset(obj)("each", "key", "where", "skip", "limit", "orderby", "distinct");
+                    const [expression, key, where, skip, limit, orderby, distinct, transition] = JSBinder.#consumeDataset(obj)("each", "key", "where", "skip", "limit", "orderby", "distinct", "transition");
                     const html = JSBinder.#cleanHTML(obj.outerHTML);
                     const [start, end] = JSBinder.#replaceObject(obj)(document.createComment("each"), document.createComment("/each"));
 
                     if (key === null)
-                        return JSBinder.#error("'each' must have 'key' expression defined");
+                        return binder.#templateError("'each' must have 'key' expression defined", obj);
 
                     const m = expression.match(this.#RGX_EACH_DIRECTIVE);
 
                     if (!m)
-                        return JSBinder.#error(`Incorrect 'each' expression: ${expression}`);
+                        return binder.#templateError(`Incorrect 'each' expression: ${expression}`, obj);
 
                     const { 1: alias, 2: list } = m;
                     this.#bindings.push({
                         itemIndex: this.#index++,
                         html, 
-                        key, 
                         keys: [], 
                         objs: [], 
                         start, 
                         end, 
                         alias, 
                         list, 
-                        where,
-                        orderby,
-                        distinct,
-                        limitTree: limit !== null ? new JSBinder.#Solver.ExpressionTree(binder, limit) : null,
-                        skipTree: skip !== null ? new JSBinder.#Solver.ExpressionTree(binder, skip) : null,
+                        transition, 
+                        mounted: false,
+                        listTree: binder.#compile(list, obj, "data-each"),
+                        keyTree: binder.#compile(key, obj, "data-key"),
+                        whereTree: where !== null ? binder.#compile(where, obj, "data-where") : null,
+                        orderbyTree: orderby !== null ? binder.#compile(orderby, obj, "data-orderby") : null,
+                        distinctTree: distinct !== null ? binder.#compile(distinct, obj, "data-distinct") : null,
+                        limitTree: limit !== null ? binder.#compile(limit, obj, "data-limit") : null,
+                        skipTree: skip !== null ? binder.#compile(skip, obj, "data-skip") : null,
                     });
                 });
         };
 
         // Evaluates list expressions, filters/sorts items, and updates DOM by adding/removing/reordering elements.
-        refresh = () => {
+        refresh = (changed) => {
             let counter = 0;
 
-            this.#bindings.forEach((binding) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
                 const whereNotIn = (other) => (x) => !other.includes(x);
                 const whereNotNull = (x) => x !== null;
 
@@ -665,23 +2542,27 @@ class JSBinder
 
                 const RGX_VARIABLE_ALIAS = JSBinder.#rgxFormatVariable(binding.alias);
 
+                const source = binding.listTree.evaluate();
+
+                // Context exposing the item at 'index' as the alias in 'where', 'orderby', 'distinct' and 'key' expressions.
+                const contextOf = (index) => ({ [binding.alias]: source[index] });
+
                 // Create list of all indexes to include, filtered by 'where' if defined.
-                let indexes = JSBinder.#apply(binder.#resolveValue(binding.list))
-                    ((source) => Array.isArray(source)
-                        ? [...function* () { for (var i = 0; i < source.length; i++) { if (binding.where === null || binder.#evaluate(binding.where.replace(RGX_VARIABLE_ALIAS, `${binding.list}[${i}]`))) yield(i); }; }()]
-                        : []);
+                let indexes = Array.isArray(source)
+                    ? [...function* () { for (var i = 0; i < source.length; i++) { if (binding.whereTree === null || binding.whereTree.evaluate(contextOf(i))) yield(i); }; }()]
+                    : [];
 
                 // Sort list of indexes if 'orderby' is defined.
-                if (binding.orderby !== null) {
+                if (binding.orderbyTree !== null) {
                     indexes = indexes
-                        .map(index => ({ index, value : binder.#evaluate(binding.orderby.replace(RGX_VARIABLE_ALIAS, `${binding.list}[${index}]`)) }))
+                        .map(index => ({ index, value : binding.orderbyTree.evaluate(contextOf(index)) }))
                         .sort((a, b) => JSBinder.#alphaNumericSorter.sort(a.value, b.value))
                         .map(x => x.index);
                 }
 
                 // Filter on distinct values if 'distinct' is defined.
-                if (binding.distinct !== null) {
-                    const distinctIndexes = Array.from(new Map(indexes.toReversed().map((index) => [binder.#evaluate(binding.distinct.replace(RGX_VARIABLE_ALIAS, `${binding.list}[${index}]`)), index])).values());
+                if (binding.distinctTree !== null) {
+                    const distinctIndexes = Array.from(new Map(indexes.toReversed().map((index) => [binding.distinctTree.evaluate(contextOf(index)), index])).values());
                     indexes = indexes.filter((index) => distinctIndexes.includes(index));
                 }
 
@@ -691,7 +2572,7 @@ class JSBinder
 
                 // Calculate keys for each index.
                 const newKeys = indexes.map((index) => 
-                    JSBinder.#apply(binder.#evaluate(binding.key.replace(RGX_VARIABLE_ALIAS, `${binding.list}[${index}]`)).toString().replace(/[^a-zA-Z0-9]/g, "_"))
+                    JSBinder.#apply(binding.keyTree.evaluate(contextOf(index)).toString().replace(/[^a-zA-Z0-9]/g, "_"))
                         ((key) => {
                             binder.#indexMap.set(`${binding.itemIndex}_${key}`, index);
                             return `${binding.itemIndex}_${key}`;
@@ -701,11 +2582,17 @@ class JSBinder
                 const keysToRemove = binding.keys.filter(whereNotIn(newKeys));
                 const keysToAdd = newKeys.filter(whereNotIn(binding.keys));
 
+                // Transitions are skipped on the first render.
+                const transition = binding.mounted ? binding.transition : null;
+
+                // Store positions of the items to keep, to animate them if they are moved.
+                const positions = JSBinder.#Transition.positions(binding.objs.filter((x, i) => !keysToRemove.includes(binding.keys[i])), transition);
+
                 // Remove existing items.
                 binding.keys.forEach((key, i) => {
                     if (keysToRemove.includes(key)) {
                         JSBinder.#dispatchEvent(binding.objs[i], "each", { action: "remove" });
-                        binding.objs[i].remove();
+                        JSBinder.#Transition.leave(binding.objs[i], transition);
                         binding.objs[i] = null;
                         binding.keys[i] = null;
                     }
@@ -725,6 +2612,7 @@ class JSBinder
                         // Add new item.
                         obj = JSBinder.#deserializeHTML(binding.html.replace(RGX_VARIABLE_ALIAS, `${binding.list}[{${key}}]`));
                         lastObj.after(obj);
+                        JSBinder.#Transition.enter(obj, transition);
                         JSBinder.#dispatchEvent(obj, "each", { action: "add" });
                         counter++;
                     } else {
@@ -742,8 +2630,11 @@ class JSBinder
                     newObjs.push(obj);
                 });
 
+                JSBinder.#Transition.move(positions, transition);
+
                 binding.objs = newObjs;
                 binding.keys = newKeys;
+                binding.mounted = true;
             });
 
             return counter;
@@ -752,7 +2643,7 @@ class JSBinder
 
     // For
     //
-    // data-for="@value" data-from="..." data-to="..." [data-where="..."]
+    // data-for="@value" data-from="..." data-to="..." [data-where="..."] [data-transition="..."]
     //
     // <p data-for="@index" data-from="0" data-to="myArray.length">{{myArray[@index]}}</p>              >> ...
     // <p data-for="@number" data-from="3" data-to="7">{{@number}}</p>                                  >> <p>3</p><p>4</p>...<p>7</p>
@@ -771,17 +2662,17 @@ class JSBinder
 
             binder.#queryDirectives("[data-for]")
                 ((obj) => {
-                    const [expression, from, to, where] = JSBinder.#consumeDataset(obj)("for", "from", "to", "where");
+                    const [expression, from, to, where, transition] = JSBinder.#consumeDataset(obj)("for", "from", "to", "where", "transition");
                     const html = JSBinder.#cleanHTML(obj.outerHTML);
                     const [start, end] = JSBinder.#replaceObject(obj)(document.createComment("for"), document.createComment("/for"));
 
                     if (from === null || to === null)
-                        return JSBinder.#error("'for' must have 'from' and 'to' expressions defined");
+                        return binder.#templateError("'for' must have 'from' and 'to' expressions defined", obj);
 
                     const m = expression.match(this.#RGX_FOR_DIRECTIVE);
 
                     if (!m)
-                        return JSBinder.#error(`Incorrect 'for' expression: ${expression}`);
+                        return binder.#templateError(`Incorrect 'for' expression: ${expression}`, obj);
 
                     const { 1: alias } = m;
                     this.#bindings.push({
@@ -791,18 +2682,20 @@ class JSBinder
                         start, 
                         end, 
                         alias, 
-                        where,
-                        fromTree: new JSBinder.#Solver.ExpressionTree(binder, from), 
-                        toTree: new JSBinder.#Solver.ExpressionTree(binder, to),
+                        transition, 
+                        mounted: false,
+                        whereTree: where !== null ? binder.#compile(where, obj, "data-where") : null,
+                        fromTree: binder.#compile(from, obj, "data-from"), 
+                        toTree: binder.#compile(to, obj, "data-to"),
                     });
                 });
         };
 
         // Generates numeric ranges, filters by where clause, and updates DOM with matching elements.
-        refresh = () => {
+        refresh = (changed) => {
             let counter = 0;
 
-            this.#bindings.forEach((binding) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
                 const whereNotIn = (other) => (x) => !other.includes(x);
                 const whereNotNull = (x) => x !== null;
 
@@ -812,17 +2705,20 @@ class JSBinder
                 const RGX_VARIABLE_ALIAS = JSBinder.#rgxFormatVariable(binding.alias);
 
                 // Create list of all keys/numbers to include, filtered by 'where' if defined.
-                const newKeys = [...function* () { for (let key = from; key <= to; key++) { if (binding.where === null || binder.#evaluate(binding.where.replace(RGX_VARIABLE_ALIAS, key))) yield(key); } }()];
+                const newKeys = [...function* () { for (let key = from; key <= to; key++) { if (binding.whereTree === null || binding.whereTree.evaluate({ [binding.alias]: key })) yield(key); } }()];
 
                 // Compare keys to know what to add or remove.
                 const keysToRemove = binding.keys.filter(whereNotIn(newKeys));
                 const keysToAdd = newKeys.filter(whereNotIn(binding.keys));
 
+                // Transitions are skipped on the first render.
+                const transition = binding.mounted ? binding.transition : null;
+
                 // Remove existing items
                 binding.keys.forEach((key, i) => {
                     if (keysToRemove.includes(key)) {
                         JSBinder.#dispatchEvent(binding.objs[i], "for", { action: "remove" });
-                        binding.objs[i].remove();
+                        JSBinder.#Transition.leave(binding.objs[i], transition);
                         binding.objs[i] = null;
                         binding.keys[i] = null;
                     }
@@ -842,6 +2738,7 @@ class JSBinder
                         // Add new item
                         obj = JSBinder.#deserializeHTML(binding.html.replace(RGX_VARIABLE_ALIAS, key));
                         lastObj.after(obj);
+                        JSBinder.#Transition.enter(obj, transition);
                         JSBinder.#dispatchEvent(obj, "for", { action: "add" });
                         counter++;
                     } else {
@@ -856,6 +2753,7 @@ class JSBinder
 
                 binding.objs = newObjs;
                 binding.keys = newKeys;
+                binding.mounted = true;
             });
 
             return counter;
@@ -874,7 +2772,29 @@ class JSBinder
         #bindings = [];
         #pruneDetached = () => { this.#bindings = this.#bindings.filter((x) => document.body.contains(x.obj)); };
 
-        #RGX_INTERPOLATION_DIRECTIVE = /\{\{(.+)\}\}/g;
+        // Splits text into static texts and {{...}} expressions. Braces and '}}' inside strings or brackets do not end an expression.
+        // "aa {{bb}} cc {{ {x: 1}.x }}" >> [["aa ", " cc ", ""], ["bb", "{x: 1}.x"]]
+        #parseInterpolations = (input) => {
+            const texts = [];
+            const expressions = [];
+            let start = 0;
+            let index;
+
+            while ((index = input.indexOf("{{", start)) !== -1) {
+                // Unbalanced expressions end at the first '}}', reporting their parse error when compiled.
+                const end = JSBinder.#apply(JSBinder.#Lexer.scan(input, index + 2, (j, depth) => depth === 0 && input.startsWith("}}", j)))((end) =>
+                    end < input.length ? end : input.indexOf("}}", index + 2));
+
+                if (end === -1) break;
+
+                texts.push(input.slice(start, index));
+                expressions.push(input.slice(index + 2, end).trim());
+                start = end + 2;
+            }
+
+            texts.push(input.slice(start));
+            return [texts, expressions];
+        };
 
         // Scans text content and attributes for {{...}} expressions, extracting and storing them.
         register = () => {
@@ -882,25 +2802,19 @@ class JSBinder
 
             let counter = 0;
 
-            // "aa {{bb}} cc {{dd}} ee" >> "aa {0} cc {1} ee"
-            const prepareString = (input) => input.replace(this.#RGX_INTERPOLATION_DIRECTIVE, (() => { let index = 0; return () => `{${index++}}`; })());
-
-            // "{{aa}}" >> "aa"
-            const trimExpression = (x) => x.replace(/^\{\{/, "").replace(/\}\}$/, "").trim();
-
             const scanNode = (element) => {
 
                 // Find all interolations in innerHTML.
                 // Ex: <h1>{{page.title}}</h1>
                 if (element.nodeType === Node.TEXT_NODE) {
-                    const m = element.textContent.match(this.#RGX_INTERPOLATION_DIRECTIVE);
+                    const [texts, expressions] = this.#parseInterpolations(element.textContent.trim());
 
-                    if (m) {
+                    if (expressions.length > 0) {
                         this.#bindings.push({
                             obj: element,
                             type: "text",
-                            expressions: [...m].map(trimExpression),
-                            text: prepareString(element.textContent.trim()),
+                            expressionTrees: expressions.map((x) => binder.#compile(x, element.parentElement, "text")),
+                            texts,
                             modified: new JSBinder.#ChangeDetector(),
                         });
                         element.textContent = "";
@@ -913,18 +2827,18 @@ class JSBinder
                 if (element.nodeType === Node.ELEMENT_NODE) {
                     const attributes = element.attributes;
                     for (let i = 0; i < attributes.length; i++) {
-                        const m = attributes[i].value.match(this.#RGX_INTERPOLATION_DIRECTIVE);
+                        const [texts, expressions] = this.#parseInterpolations(attributes[i].value);
 
-                        if (m) {
+                        if (expressions.length > 0) {
                             if ((JSBinder.#typeOf(element) === JSBinder.#TYPE.SELECT || JSBinder.#typeOf(element) === JSBinder.#TYPE.INPUT) && attributes[i].name.toLowerCase() === "value")
                                 JSBinder.#warn("Binding attribute 'value' on form elements can only be done with 'data-bind'.");
 
                             this.#bindings.push({
                                 obj: element,
                                 type: "attribute",
-                                expressions: [...m].map(trimExpression),
+                                expressionTrees: expressions.map((x) => binder.#compile(x, element, attributes[i].name)),
                                 key: attributes[i].name,
-                                text: prepareString(attributes[i].value),
+                                texts,
                                 modified: new JSBinder.#ChangeDetector(),
                             });
                             element.setAttribute(attributes[i].name, "");
@@ -943,9 +2857,10 @@ class JSBinder
         };
 
         // Evaluates interpolation expressions and updates text content or attribute values.
-        refresh = () => {
-            this.#bindings.forEach((binding) => {
-                const result = binding.expressions.reduce((text, expression, index) => text.replace("{"+index+"}", binder.#evaluate(expression)), binding.text) ?? "";
+        refresh = (changed) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
+                // ["aa ", " cc"], [bb] >> "aa {{bb}} cc"
+                const result = binding.texts.slice(1).reduce((text, x, index) => `${text}${binding.expressionTrees[index].evaluate()}${x}`, binding.texts[0]);
                 switch (binding.type)
                 {
                     case "text":
@@ -991,7 +2906,7 @@ class JSBinder
 
                     this.#bindings.push({
                         obj, 
-                        expressionTree: new JSBinder.#Solver.ExpressionTree(binder, expression),
+                        expressionTree: binder.#compile(expression, obj, "data-bind"),
                         modified: new JSBinder.#ChangeDetector(), 
                         depth: this.#getDomDepth(obj),
                     });
@@ -999,8 +2914,8 @@ class JSBinder
         };
 
         // Evaluates expressions and updates element content/values/attributes based on element type.
-        refresh = () => {
-            this.#bindings.sort((a, b) => b.depth - a.depth).forEach((binding) => {
+        refresh = (changed) => {
+            binder.#refreshBindings(this.#bindings.sort((a, b) => b.depth - a.depth), changed)((binding) => {
                 const result = binding.expressionTree.evaluate();
                 switch (JSBinder.#typeOf(binding.obj))
                 {
@@ -1069,11 +2984,13 @@ class JSBinder
 
             binder.#queryDirectives("[data-attr]")
                 ((obj) => {
-                    JSBinder.#split(JSBinder.#consumeDataset(obj)("attr")).forEach((mapping) => {
+                    const value = JSBinder.#consumeDataset(obj)("attr");
+
+                    JSBinder.#splitIndexed(value).forEach(({ text: mapping, index }) => {
                         const m = mapping.match(this.#RGX_ATTRIBUTE_DIRECTIVE);
 
                         if (!m)
-                            return JSBinder.#error(`Incorrect 'attribute' syntax: ${mapping}`);
+                            return binder.#templateError(`Incorrect 'attribute' syntax: ${mapping}`, obj);
 
                         const { 2: key, 3: expression } = m;
 
@@ -1083,7 +3000,7 @@ class JSBinder
                         this.#bindings.push({
                             obj, 
                             key, 
-                            expressionTree: new JSBinder.#Solver.ExpressionTree(binder, expression),
+                            expressionTree: binder.#compile(expression, obj, "data-attr", false, { value, index: index + mapping.length - expression.length }),
                             modified: new JSBinder.#ChangeDetector(),
                         });
                     });
@@ -1097,16 +3014,17 @@ class JSBinder
                     this.#bindings.push({
                         obj,
                         key: "disabled",
-                        expressionTree: new JSBinder.#Solver.ExpressionTree(binder, "(" + expression + ") ? 'disabled' : null"),
+                        expressionTree: binder.#compile(expression, obj, "data-disabled"),
+                        transform: (x) => x ? "disabled" : null,
                         modified: new JSBinder.#ChangeDetector(),
                     });
                 });
         };
 
         // Evaluates expressions and sets/removes attributes based on results.
-        refresh = () => {
-            this.#bindings.forEach((binding) => {
-                const result = binding.expressionTree.evaluate();
+        refresh = (changed) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
+                const result = JSBinder.#apply(binding.expressionTree.evaluate())(binding.transform ?? ((x) => x));
                 if (binding.modified.check(result)) {
                     if (JSBinder.#isNullish(result)) { binding.obj.removeAttribute(binding.key); } else { binding.obj.setAttribute(binding.key, result); };
                     JSBinder.#dispatchEvent(binding.obj, "attr", { key: binding.key, value: result });
@@ -1134,17 +3052,19 @@ class JSBinder
 
             binder.#queryDirectives("[data-class]")
                 ((obj) => {
-                    JSBinder.#split(JSBinder.#consumeDataset(obj)("class")).forEach((mapping) => {
+                    const value = JSBinder.#consumeDataset(obj)("class");
+
+                    JSBinder.#splitIndexed(value).forEach(({ text: mapping, index }) => {
                         const m = mapping.match(this.#RGX_CLASS_DIRECTIVE);
 
                         if (!m)
-                            return JSBinder.#error(`Incorrect 'class' syntax: ${mapping}`);
+                            return binder.#templateError(`Incorrect 'class' syntax: ${mapping}`, obj);
 
                         const { 2: key, 3: expression } = m;
                         this.#bindings.push({
                             obj, 
                             key, 
-                            expressionTree: new JSBinder.#Solver.ExpressionTree(binder, expression), 
+                            expressionTree: binder.#compile(expression, obj, "data-class", false, { value, index: index + mapping.length - expression.length }), 
                             modified: new JSBinder.#ChangeDetector(),
                         });
                     });
@@ -1152,8 +3072,8 @@ class JSBinder
         };
 
         // Evaluates expressions and toggles CSS classes based on boolean results.
-        refresh = () => {
-            this.#bindings.forEach((binding) => {
+        refresh = (changed) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
                 const result = binding.expressionTree.evaluate();
                 if (binding.modified.check(result)) {
                     binding.obj.classList.toggle(binding.key, result);
@@ -1183,17 +3103,19 @@ class JSBinder
 
             binder.#queryDirectives("[data-style]")
                 ((obj) => {
-                    JSBinder.#split(JSBinder.#consumeDataset(obj)("style")).forEach((mapping) => {
+                    const value = JSBinder.#consumeDataset(obj)("style");
+
+                    JSBinder.#splitIndexed(value).forEach(({ text: mapping, index }) => {
                         const m = mapping.match(this.#RGX_STYLE_DIRECTIVE);
 
                         if (!m)
-                            return JSBinder.#error(`Incorrect 'style' syntax: ${mapping}`);
+                            return binder.#templateError(`Incorrect 'style' syntax: ${mapping}`, obj);
 
                         const { 2: key, 3: expression } = m;
                         this.#bindings.push({
                             obj, 
                             key: this.#toKebabCase(key),
-                            expressionTree: new JSBinder.#Solver.ExpressionTree(binder, expression), 
+                            expressionTree: binder.#compile(expression, obj, "data-style", false, { value, index: index + mapping.length - expression.length }), 
                             modified: new JSBinder.#ChangeDetector(),
                         });
                     });
@@ -1201,8 +3123,8 @@ class JSBinder
         };
 
         // Evaluates expressions and applies/removes inline styles based on results.
-        refresh = () => {
-            this.#bindings.forEach((binding) => {
+        refresh = (changed) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
                 const result = binding.expressionTree.evaluate();
                 if (binding.modified.check(result)) {
                     if (JSBinder.#isNullish(result)) { binding.obj.style.removeProperty(binding.key); } else { binding.obj.style.setProperty(binding.key, result); };
@@ -1212,35 +3134,66 @@ class JSBinder
         };
     })(this);
 
-    #addEvent = (obj) => (type, listener) => obj.addEventListener(type, listener, { 'signal': this.#abortController.signal });
+    // Show
+    //
+    // data-show="data.visible"
+    // data.visible = true  >> <div data-show="data.visible">...</div> >> <div>...</div>
+    // data.visible = false >> <div data-show="data.visible">...</div> >> <div style="display: none;">...</div>
+    //
+    // The element stays in the DOM (keeping input values, focus, listeners etc.) and gets its original inline display value back when shown.
+    //
+    // event: jsbinder-show with e.detail.action = "add" / "remove".
+    #showDirective = ((binder) => new class {
+        #bindings = [];
+        #pruneDetached = () => { this.#bindings = this.#bindings.filter((x) => document.body.contains(x.obj)); };
+
+        // Scans for data-show directives, storing the original inline display value and if there was a style attribute.
+        register = () => {
+            this.#pruneDetached();
+
+            binder.#queryDirectives("[data-show]")
+                ((obj) => {
+                    const expression = JSBinder.#consumeDataset(obj)("show");
+                    this.#bindings.push({
+                        obj, 
+                        styled: obj.hasAttribute("style"),
+                        display: obj.style.getPropertyValue("display"),
+                        priority: obj.style.getPropertyPriority("display"),
+                        expressionTree: binder.#compile(expression, obj, "data-show"), 
+                        modified: new JSBinder.#ChangeDetector(),
+                    });
+                });
+        };
+
+        // Evaluates expressions and toggles 'display: none' based on results.
+        refresh = (changed) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
+                const result = !!binding.expressionTree.evaluate();
+                if (binding.modified.check(result)) {
+                    if (result === false) { binding.obj.style.setProperty("display", "none"); }
+                    else if (binding.display === "") { binding.obj.style.removeProperty("display"); if (!binding.styled && binding.obj.getAttribute("style") === "") binding.obj.removeAttribute("style"); }
+                    else { binding.obj.style.setProperty("display", binding.display, binding.priority); };
+                    JSBinder.#dispatchEvent(binding.obj, "show", { action: result ? "add" : "remove" });
+                }
+            });
+        };
+    })(this);
+
+    #addEvent = (obj) => (type, listener, options = {}) => obj.addEventListener(type, listener, { ...options, 'signal': this.#abortController.signal });
 
     // OnClick
     //
     // <button data-onclick="page = 0">First page</button>
-    // data-onclick="path1 = expression1; path2 = expression2"
+    // data-onclick="path1 = expression1; path2 += expression2; index++; valid && (submitted = true)"
     #onClickDirective = ((binder) => new class {
 
-        #RGX_ONCLICK_DIRECTIVE = /^([a-zA-Z]{1}[0-9a-zA-Z_]*(?:(?:\[.+\]|\.)(?:[a-zA-Z]{1}[0-9a-zA-Z_]*)?)*)\s+=\s+(.+)$/;
-
-        // Attaches click event listeners that mutate state based on target:expression mappings.
+        // Attaches click event listeners that mutate state by running the statements.
         register = () => {
             binder.#queryDirectives("[data-onclick]")
                 ((obj) => {
-                    JSBinder.#split(JSBinder.#consumeDataset(obj)("onclick")).forEach((mapping) => {
-                        const m = mapping.match(this.#RGX_ONCLICK_DIRECTIVE);
-
-                        if (!m)
-                            return JSBinder.#error(`Incorrect 'onclick' syntax: ${mapping}`);
-
-                        const { 1: target, 2: expression} = m;
+                    const statementsTree = binder.#compile(JSBinder.#consumeDataset(obj)("onclick"), obj, "data-onclick", true);
 
-                        const applyChange = () => {
-                            const evaluated = binder.#evaluate(expression);
-                            binder.#mutateState(target, evaluated);
-                        };
-
-                        binder.#addEvent(obj)("click", (e) => applyChange());
-                    });
+                    binder.#addEvent(obj)("click", (e) => binder.#withOrigin("data-onclick", obj)(() => statementsTree.evaluate()));
                 });
         };
     })(this);
@@ -1248,52 +3201,567 @@ class JSBinder
     // OnChange
     // 
     // <input type="text" data-onchange="name = @value" data-bind="name" />
-    // data-onchange="path1 = expression1; path2 = expression2"
+    // data-onchange="path1 = expression1; path2 += expression2; changes++"
     #onChangeDirective = ((binder) => new class {
 
-        #toSafeString = (input) => JSON.stringify(input); //"'" + input.replace(/\'/g, `' + "'" + '`) + "'";
+        // Attaches input/change event listeners that mutate state by running the statements, with the form value as '@value'.
+        register = () => {
+            binder.#queryDirectives("[data-onchange]")
+                ((obj) => {
+                    const statementsTree = binder.#compile(JSBinder.#consumeDataset(obj)("onchange"), obj, "data-onchange", true);
+
+                    const applyChange = (value) => binder.#withOrigin("data-onchange", obj)(() => statementsTree.evaluate({ value }));
+
+                    switch (JSBinder.#typeOf(obj))
+                    {
+                        case JSBinder.#TYPE.CHECKBOX:
+                            binder.#addEvent(obj)("change", (e) => applyChange(!!obj.checked));
+                            break;
+
+                        case JSBinder.#TYPE.SELECT:
+                            binder.#addEvent(obj)("change", (e) => applyChange(obj.value));
+                            break;
+
+                        case JSBinder.#TYPE.INPUT:
+                            binder.#addEvent(obj)("input", (e) => applyChange(obj.value));
+                            break;
+
+                        case JSBinder.#TYPE.TEXTAREA:
+                            binder.#addEvent(obj)("input", (e) => applyChange(obj.value));
+                            break;
+
+                        default:
+                            return binder.#templateError(`'onchange' directive is currently only supported for <select> and <input>`, obj);
+                    }
+                });
+        };
+    })(this);
+
+    // Calls 'callback' when no new call has been made for 'ms'.
+    static #debounce = (callback, ms) => {
+        let timer = null;
+        return (...args) => { window.clearTimeout(timer); timer = window.setTimeout(() => callback(...args), ms); };
+    };
+
+    // Calls 'callback' at most once per 'ms', with a last call for the calls made while waiting.
+    static #throttle = (callback, ms) => {
+        let timer = null, pending = null;
+        const wait = () => { timer = window.setTimeout(() => { timer = null; if (pending !== null) { const args = pending; pending = null; callback(...args); wait(); } }, ms); };
+        return (...args) => { if (timer !== null) { pending = args; return; } callback(...args); wait(); };
+    };
+
+    // On
+    //
+    // data-on="event[.modifier...]: statements; event2[.modifier...]: statements"
+    //
+    // <input data-on="keydown.enter: submitted = true; keydown.esc: query = ''">
+    // <form data-on="submit.prevent: saving = true">
+    // <div data-on="scroll.passive.throttle(100): y = @event.scrollY">
+    // <div data-on="click.outside: menuOpen = false">
+    //
+    // Modifiers: prevent, stop, once, self, capture, passive, outside, debounce(ms), throttle(ms),
+    //            ctrl, alt, shift, meta, key names for key events (enter, esc, a, f1, page-down...) and left, middle, right for mouse events.
+    // '@event' holds a copy of the event properties listed in #EVENT_PROPERTIES, with 'value' / 'checked' of the target and 'scrollX' / 'scrollY' of the element.
+    #onDirective = ((binder) => new class {
+        #RGX_ON_HANDLER = /^([a-zA-Z][\w-]*)((?:\.[a-zA-Z][\w-]*(?:\(\d+\))?)*)\s*:(?!=)\s*([\s\S]*)$/;
+        #RGX_ON_MODIFIER = /^([a-zA-Z][\w-]*)(?:\((\d+)\))?$/;
+
+        #MODIFIERS = ["prevent", "stop", "once", "self", "capture", "passive", "outside", "debounce", "throttle"];
+        #SYSTEM_KEYS = { ctrl: "ctrlKey", alt: "altKey", shift: "shiftKey", meta: "metaKey" };
+        #KEYS = { enter: ["Enter"], esc: ["Escape"], space: [" "], tab: ["Tab"], up: ["ArrowUp"], down: ["ArrowDown"], left: ["ArrowLeft"], right: ["ArrowRight"], delete: ["Delete", "Backspace"] };
+        #BUTTONS = { left: 0, middle: 1, right: 2 };
+
+        #EVENT_PROPERTIES = ["type", "key", "code", "repeat", "button", "buttons", "altKey", "ctrlKey", "shiftKey", "metaKey", "clientX", "clientY", "pageX", "pageY", "offsetX", "offsetY", "movementX", "movementY", "deltaX", "deltaY", "pointerType", "data", "inputType", "detail", "timeStamp", "isTrusted"];
+
+        #toKebabCase = (text) => text.replace(/([a-z0-9])([A-Z])/g, (_, a, b) => `${a}-${b}`).toLowerCase(); // "PageDown" >> "page-down"
+
+        #eventDetails = (e, obj) => ({
+            ...Object.fromEntries(this.#EVENT_PROPERTIES.filter((key) => key in e).map((key) => [key, e[key]])),
+            value: e.target?.value,
+            checked: e.target?.checked,
+            scrollX: obj.scrollLeft,
+            scrollY: obj.scrollTop,
+        });
+
+        // Returns a filter on the event for a key or mouse button modifier, or null if 'name' is none for the event type.
+        #filter = (type, name) => {
+            if (Object.hasOwn(this.#SYSTEM_KEYS, name)) return (e) => e[this.#SYSTEM_KEYS[name]] === true;
+            if (type.startsWith("key")) return (e) => this.#KEYS[name]?.includes(e.key) ?? [String(e.key).toLowerCase(), this.#toKebabCase(String(e.key))].includes(name);
+            if (Object.hasOwn(this.#BUTTONS, name) && /click|contextmenu|mouse|pointer/.test(type)) return (e) => e.button === this.#BUTTONS[name];
+            return null;
+        };
+
+        // Splits the directive in handlers, where statements not starting with 'event:' belong to the previous handler.
+        #parse = (obj, input) => JSBinder.#split(input).reduce((handlers, part) => {
+            const m = part.match(this.#RGX_ON_HANDLER);
 
-        #RGX_ONCHANGE_DIRECTIVE = /^([a-zA-Z]{1}[0-9a-zA-Z_]*(?:(?:\[.+\]|\.)(?:[a-zA-Z]{1}[0-9a-zA-Z_]*)?)*)\s+=\s+(.+)$/;
-        #RGX_VARIABLE_VALUE = JSBinder.#rgxFormatVariable("value");
+            if (m) handlers.push({ type: m[1], modifiers: m[2], statements: [m[3]] });
+            else if (handlers.length > 0) handlers.at(-1).statements.push(part);
+            else binder.#templateError(`Incorrect 'on' syntax: ${part}`, obj);
 
-        // Attaches input/change event listeners that mutate state using form values in expressions.
+            return handlers;
+        }, []);
+
+        // Attaches event listeners that mutate state by running the statements, with the event properties as '@event'.
         register = () => {
-            binder.#queryDirectives("[data-onchange]")
+            binder.#queryDirectives("[data-on]")
                 ((obj) => {
-                    JSBinder.#split(JSBinder.#consumeDataset(obj)("onchange")).forEach((mapping) => {
-                        const m = mapping.match(this.#RGX_ONCHANGE_DIRECTIVE);
+                    this.#parse(obj, JSBinder.#consumeDataset(obj)("on")).forEach(({ type, modifiers, statements }) => {
+                        const options = {};
+                        const filters = [];
 
-                        if (!m)
-                            return JSBinder.#error(`Incorrect 'onchange' syntax: ${mapping}`);
+                        for (const modifier of modifiers.split(".").filter((x) => x !== "")) {
+                            const { 1: name, 2: ms } = modifier.match(this.#RGX_ON_MODIFIER);
+                            const filter = this.#MODIFIERS.includes(name) ? null : this.#filter(type, name);
+
+                            if (filter === null && !this.#MODIFIERS.includes(name))
+                                return binder.#templateError(`Unknown 'on' modifier '${name}' for '${type}'`, obj);
+                            if (["debounce", "throttle"].includes(name) !== (ms !== undefined))
+                                return binder.#templateError(`Incorrect 'on' modifier: ${modifier}`, obj);
 
-                        const { 1: target, 2: expression} = m;
+                            if (filter !== null) filters.push(filter);
+                            else options[name] = ms !== undefined ? parseInt(ms) : true;
+                        }
+
+                        const statementsTree = binder.#compile(statements.join("; "), obj, "data-on", true);
+                        const target = options.outside ? document : obj;
+                        let fired = false;
 
-                        const applyChange = (value) => {
-                            const evaluated = binder.#evaluate(expression.replace(this.#RGX_VARIABLE_VALUE, value));
-                            binder.#mutateState(target, evaluated);
+                        const run = (event) => {
+                            if (!binder.#abortController.signal.aborted)
+                                binder.#withOrigin("data-on", obj)(() => statementsTree.evaluate({ event }));
                         };
+                        const limited = options.debounce !== undefined ? JSBinder.#debounce(run, options.debounce) : options.throttle !== undefined ? JSBinder.#throttle(run, options.throttle) : run;
+
+                        const listener = (e) => {
+                            if (options.outside && !obj.isConnected) return target.removeEventListener(type, listener, { capture: !!options.capture });
+                            if (options.outside && obj.contains(e.target)) return;
+                            if (options.self && e.target !== obj) return;
+                            if (!filters.every((filter) => filter(e))) return;
+                            if (options.once && fired) return;
+
+                            fired = true;
+                            if (options.prevent) e.preventDefault();
+                            if (options.stop) e.stopPropagation();
+                            limited(this.#eventDetails(e, obj));
+                        };
+
+                        binder.#addEvent(target)(type, listener, { capture: !!options.capture, passive: !!options.passive });
+                    });
+                });
+        };
+    })(this);
 
-                        switch (JSBinder.#typeOf(obj))
-                        {
-                            case JSBinder.#TYPE.CHECKBOX:
-                                binder.#addEvent(obj)("change", (e) => applyChange(!!obj.checked));
-                                break;
+    // Model
+    //
+    // data-model="path[: modifier.modifier...]"
+    //
+    // <input type="text" data-model="user.name">                          >> user.name = "..." on input
+    // <input type="number" data-model="user.age">                         >> user.age = 42 (number and range inputs set numbers, null when empty)
+    // <input type="checkbox" data-model="accepted">                       >> accepted = true / false
+    // <input type="checkbox" value="red" data-model="colors">             >> colors = ["red", ...] when 'colors' is an array
+    // <input type="radio" value="2" data-model="size: number">            >> size = 2 when checked
+    // <select multiple data-model="tags">...</select>                     >> tags = ["a", "b"]
+    // <div contenteditable data-model="note: trim.lazy"></div>            >> note = "..." (text content) on blur
+    // <input type="search" data-model="query: trim.debounce(300)">       >> query = "..." 300 ms after the last input
+    //
+    // Modifiers: number (numeric value when it can be parsed), trim, lazy (change instead of input), debounce(ms).
+    // The path is assigned as in data-onchange, so aliases like '@item.title' can be used.
+    #modelDirective = ((binder) => new class {
+        #bindings = [];
+        #pruneDetached = () => { this.#bindings = this.#bindings.filter((x) => document.body.contains(x.obj)); };
+
+        #RGX_MODEL_MODIFIER = /^(number|trim|lazy|debounce)(?:\((\d+)\))?$/;
 
-                            case JSBinder.#TYPE.SELECT:
-                                binder.#addEvent(obj)("change", (e) => applyChange(this.#toSafeString(obj.value)));
-                                break;
+        #CONTROL = { CHECKBOX: "checkbox", RADIO: "radio", MULTISELECT: "multiselect", SELECT: "select", NUMBER: "number", TEXT: "text", EDITABLE: "editable" };
 
-                            case JSBinder.#TYPE.INPUT:
-                                binder.#addEvent(obj)("input", (e) => applyChange(this.#toSafeString(obj.value)));
-                                break;
+        #controlOf = (obj) => {
+            if (obj.matches("input[type=checkbox]")) return this.#CONTROL.CHECKBOX;
+            if (obj.matches("input[type=radio]")) return this.#CONTROL.RADIO;
+            if (obj.matches("input[type=number], input[type=range]")) return this.#CONTROL.NUMBER;
+            if (obj.matches("input[type=file]")) return null;
+            if (obj.matches("select[multiple]")) return this.#CONTROL.MULTISELECT;
+            if (obj.matches("select")) return this.#CONTROL.SELECT;
+            if (obj.matches("input, textarea")) return this.#CONTROL.TEXT;
+            if (obj.isContentEditable || obj.matches("[contenteditable]:not([contenteditable=false])")) return this.#CONTROL.EDITABLE;
+            return null;
+        };
 
-                            case JSBinder.#TYPE.TEXTAREA:
-                                binder.#addEvent(obj)("input", (e) => applyChange(this.#toSafeString(obj.value)));
-                                break;
+        // Converts a text value from the control with the 'trim' and 'number' modifiers.
+        #convert = (binding, text) => JSBinder.#apply(binding.modifiers.trim ? text.trim() : text)((value) =>
+            binding.modifiers.number && value.trim() !== "" && !isNaN(value) ? parseFloat(value) : value);
 
-                            default:
-                                return JSBinder.#error(`'onchange' directive is currently only supported for <select> and <input>`);
-                        }
+        // Reads the value of the control. 'current' is the state value, used by checkbox groups.
+        #read = (binding, current) => {
+            const obj = binding.obj;
+
+            switch (binding.control)
+            {
+                case this.#CONTROL.CHECKBOX:
+                    if (!Array.isArray(current)) return obj.checked;
+                    return JSBinder.#apply(this.#convert(binding, obj.value))((value) => [...current.filter((x) => String(x) !== String(value)), ...(obj.checked ? [value] : [])]);
+
+                case this.#CONTROL.RADIO:
+                    return this.#convert(binding, obj.value);
+
+                case this.#CONTROL.MULTISELECT:
+                    return [...obj.selectedOptions].map((x) => this.#convert(binding, x.value));
+
+                case this.#CONTROL.NUMBER:
+                    return obj.value === "" ? null : obj.valueAsNumber;
+
+                case this.#CONTROL.EDITABLE:
+                    return this.#convert(binding, obj.textContent);
+
+                default:
+                    return this.#convert(binding, obj.value);
+            }
+        };
+
+        // Updates the control with the state value.
+        #write = (binding, value) => {
+            const obj = binding.obj;
+            const text = JSBinder.#isNullish(value) ? "" : String(value);
+
+            switch (binding.control)
+            {
+                case this.#CONTROL.CHECKBOX:
+                    obj.checked = Array.isArray(value) ? value.some((x) => String(x) === obj.value) : !!value;
+                    break;
+
+                case this.#CONTROL.RADIO:
+                    obj.checked = text === obj.value && !JSBinder.#isNullish(value);
+                    break;
+
+                case this.#CONTROL.MULTISELECT:
+                    [...obj.options].forEach((x) => { x.selected = Array.isArray(value) && value.some((y) => String(y) === x.value); });
+                    break;
+
+                case this.#CONTROL.EDITABLE:
+                    if (obj.textContent !== text) obj.textContent = text;
+                    break;
+
+                default:
+                    if (obj.value !== text) obj.value = text;
+                    break;
+            }
+        };
+
+        // Finds data-model elements, attaching listeners that assign the value of the control to the path.
+        register = () => {
+            this.#pruneDetached();
+
+            binder.#queryDirectives("[data-model]")
+                ((obj) => {
+                    const [path, modifierList = "", ...rest] = JSBinder.#Lexer.split(JSBinder.#consumeDataset(obj)("model"), ":").map((x) => x.trim());
+                    const control = this.#controlOf(obj);
+                    const modifiers = {};
+
+                    if (control === null)
+                        return binder.#templateError(`'model' directive is not supported for <${obj.tagName.toLowerCase()}${obj.type ? ` type="${obj.type}"` : ""}>`, obj);
+                    if (rest.length > 0)
+                        return binder.#templateError(`Incorrect 'model' syntax: ${path}`, obj);
+
+                    for (const modifier of modifierList.split(".").map((x) => x.trim()).filter((x) => x !== "")) {
+                        const m = modifier.match(this.#RGX_MODEL_MODIFIER);
+
+                        if (!m || (m[1] === "debounce") !== (m[2] !== undefined))
+                            return binder.#templateError(`Incorrect 'model' modifier: ${modifier}`, obj);
+
+                        modifiers[m[1]] = m[2] !== undefined ? parseInt(m[2]) : true;
+                    }
+
+                    const binding = {
+                        obj, 
+                        control, 
+                        modifiers, 
+                        expressionTree: binder.#compile(path, obj, "data-model"),
+                        statementsTree: binder.#compile(`${path} = @value`, obj, "data-model", true),
+                    };
+
+                    const assign = () => binder.#withOrigin("data-model", obj)(() => binding.statementsTree.evaluate({ value: this.#read(binding, binding.expressionTree.evaluate()) }));
+                    const update = modifiers.debounce !== undefined ? JSBinder.#debounce(assign, modifiers.debounce) : assign;
+
+                    const type = [this.#CONTROL.CHECKBOX, this.#CONTROL.RADIO, this.#CONTROL.SELECT, this.#CONTROL.MULTISELECT].includes(control) ? "change"
+                        : control === this.#CONTROL.EDITABLE ? (modifiers.lazy ? "blur" : "input")
+                        : (modifiers.lazy ? "change" : "input");
+
+                    binder.#addEvent(obj)(type, (e) => {
+                        if (e.isComposing || binder.#abortController.signal.aborted) return;
+                        if (control === this.#CONTROL.RADIO && !obj.checked) return;
+                        update();
+                    });
+
+                    this.#bindings.push(binding);
+                });
+        };
+
+        // Updates the controls with the state values.
+        // A focused control is not updated when its value already matches the state, to not move the caret while typing.
+        refresh = (changed) => {
+            binder.#refreshBindings(this.#bindings, changed)((binding) => {
+                const value = binding.expressionTree.evaluate();
+
+                if (document.activeElement === binding.obj && JSBinder.#deepEqual(this.#read(binding, value), value))
+                    return;
+
+                this.#write(binding, value);
+            });
+        };
+    })(this);
+
+    // Validation rules of data-validate, returning true when 'value' is valid.
+    static #VALIDATORS = {
+        required: (value) => value !== false && String(value).trim() !== "",
+        minlength: (value, length) => String(value).length >= length,
+        maxlength: (value, length) => String(value).length <= length,
+        min: (value, min) => Number(value) >= min,
+        max: (value, max) => Number(value) <= max,
+        pattern: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(pattern)).test(value),
+        email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        custom: (value, result) => result === true || result === undefined,
+    };
+
+    static #VALIDATION_MESSAGES = {
+        required: () => "This field is required",
+        minlength: (length) => `Enter at least ${length} characters`,
+        maxlength: (length) => `Enter at most ${length} characters`,
+        min: (min) => `Enter a value of at least ${min}`,
+        max: (max) => `Enter a value of at most ${max}`,
+        pattern: () => "Enter a value in the requested format",
+        email: () => "Enter an email address",
+        custom: () => "Enter a valid value",
+    };
+
+    // Rules of the Constraint Validation API by 'validity' flag, reported with the browser message.
+    static #VALIDITY_RULES = { valueMissing: "required", tooShort: "minlength", tooLong: "maxlength", rangeUnderflow: "min", rangeOverflow: "max", patternMismatch: "pattern", typeMismatch: "type", stepMismatch: "step", badInput: "badinput" };
+
+    // Validate
+    //
+    // <form data-form="signup">
+    //     <input name="username" data-bind="username" data-onchange="username = @value" data-validate="required; minlength: 3; custom: #isUniqueName" />
+    //     <span data-if="$form.signup.fields.username.touched && !$form.signup.fields.username.valid">{{$form.signup.fields.username.message}}</span>
+    // </form>
+    // Fields are named by their 'name' or 'id' attribute. Errors are also set with setCustomValidity(), for :invalid styles and native form submission.
+    #validateDirective = ((binder) => new class {
+        #containers = new WeakMap();
+        #fields = [];
+
+        // Removes fields no longer in the document from their form.
+        #pruneDetached = () => {
+            const detached = this.#fields.filter((x) => !document.body.contains(x.obj));
+            this.#fields = this.#fields.filter((x) => !detached.includes(x));
+
+            detached.forEach((field) => {
+                const { [field.name]: _, ...fields } = binder.#forms[field.form].fields;
+                this.#setForm(field.form, fields);
+            });
+        };
+
+        // Registers data-form containers and the data-validate fields inside them.
+        register = () => {
+            this.#pruneDetached();
+
+            binder.#queryDirectives("[data-form]")
+                ((obj) => {
+                    const name = JSBinder.#consumeDataset(obj)("form");
+
+                    if (!name.match(/^[a-zA-Z_][0-9a-zA-Z_]*$/))
+                        return binder.#templateError(`'form' name must be a correct variable name`, obj);
+
+                    this.#containers.set(obj, name);
+                    if (!Object.hasOwn(binder.#forms, name)) this.#setForm(name, {});
+
+                    // Shows the errors of all fields when the form is submitted.
+                    binder.#addEvent(obj)("submit", () => this.#fields.filter((x) => x.form === name).forEach((field) => { field.touched = true; this.#publish(field); }));
+                });
+
+            binder.#queryDirectives("[data-validate]")
+                ((obj) => {
+                    const rules = this.#parseRules(JSBinder.#consumeDataset(obj)("validate"), obj);
+                    const container = Array.from(function* (n) { while (n.parentElement) yield (n = n.parentElement); }(obj)).find((x) => this.#containers.has(x));
+                    const name = obj.getAttribute("name") || obj.id;
+
+                    if (container === undefined)
+                        return binder.#templateError(`'validate' directive must be inside a 'data-form' element`, obj);
+
+                    if (!name)
+                        return binder.#templateError(`'validate' directive requires a 'name' or 'id' attribute`, obj);
+
+                    const field = { obj, form: this.#containers.get(container), name, rules, initial: undefined, value: undefined, errors: [], pending: false, touched: false, run: 0, dependencies: undefined };
+                    this.#fields.push(field);
+
+                    binder.#addEvent(obj)(JSBinder.#typeOf(obj) === JSBinder.#TYPE.CHECKBOX || JSBinder.#typeOf(obj) === JSBinder.#TYPE.SELECT ? "change" : "input", () => this.#validate(field));
+                    binder.#addEvent(obj)("focusout", () => { field.touched = true; if (field.dependencies !== undefined) this.#publish(field); });
+                });
+        };
+
+        // Validates fields not yet validated, fields with changed values and fields with rules depending on the 'changed' state paths.
+        refresh = (changed) => {
+            this.#fields.forEach((field) => {
+                if (field.dependencies === undefined || this.#valueOf(field.obj) !== field.value || (changed !== null && field.dependencies.some((x) => changed.some((y) => JSBinder.#overlaps(x, y)))))
+                    this.#validate(field);
+            });
+        };
+
+        validate = (form) => {
+            if (!Object.hasOwn(binder.#forms, form)) {
+                JSBinder.#error(`'validate' parameter 'form' must be the name of a 'data-form'`);
+                return Promise.resolve(false);
+            }
+
+            const fields = this.#fields.filter((x) => x.form === form);
+            fields.forEach((field) => { field.touched = true; });
+            return Promise.all(fields.map(this.#validate)).then(() => binder.#forms[form].valid);
+        };
+
+        reset = (form) => {
+            if (!Object.hasOwn(binder.#forms, form))
+                return JSBinder.#error(`'resetForm' parameter 'form' must be the name of a 'data-form'`);
+
+            this.#fields.filter((x) => x.form === form).forEach((field) => {
+                field.touched = false;
+                field.initial = this.#valueOf(field.obj);
+                if (field.dependencies !== undefined) this.#publish(field);
+            });
+        };
+
+        // "required; minlength: 3; custom: #isUnique" >> [{ name: "required", tree: null }, { name: "minlength", tree }, { name: "custom", fn: "#isUnique" }]
+        #parseRules = (text, obj) => JSBinder.#split(text).map((rule) => {
+            const [, name = null, arg = null] = rule.match(/^([a-z]+)\s*(?::\s*([\s\S]+))?$/) ?? [];
+
+            if (!Object.hasOwn(JSBinder.#VALIDATORS, name))
+                return binder.#templateError(`Unknown 'validate' rule: ${rule}`, obj);
+
+            if (arg === null && !["required", "email"].includes(name))
+                return binder.#templateError(`'validate' rule '${name}' requires a value: ${rule}`, obj);
+
+            if (name === "custom" && arg.match(/^#[a-zA-Z][0-9a-zA-Z_]*$/))
+                return { name, fn: arg };
+
+            return { name, tree: arg !== null ? binder.#compile(arg, obj, "data-validate") : null };
+        }).filter((x) => x !== undefined);
+
+        #valueOf = (obj) => JSBinder.#typeOf(obj) === JSBinder.#TYPE.CHECKBOX ? obj.checked : obj.value;
+
+        // Runs the rules on the current value, storing the state paths read by rule values as dependencies.
+        // Empty values are only checked by 'required'. Returns a promise resolved when async validators are done.
+        #validate = (field) => {
+            const value = this.#valueOf(field.obj);
+            const run = ++field.run;
+            const errors = [];
+            const pending = [];
+
+            field.value = value;
+            field.initial ??= value;
+            field.obj.setCustomValidity("");
+
+            Object.entries(JSBinder.#VALIDITY_RULES).forEach(([flag, name]) => { if (field.obj.validity?.[flag]) errors.push({ name, message: field.obj.validationMessage, native: true }); });
+
+            field.dependencies = binder.#track(() => field.rules.forEach((rule) => {
+                if (rule.name !== "required" && (value === "" || value === false)) return;
+                if (errors.some((x) => x.name === rule.name)) return;
+
+                // Failing validators are reported and make the value invalid.
+                const failed = (e) => { JSBinder.#error(`Validator '${rule.fn ?? rule.name}' failed:`, e); return this.#check(rule, value, false); };
+
+                try {
+                    const result = rule.fn !== undefined ? this.#callValidator(rule.fn, value) : rule.tree?.evaluate({ value });
+
+                    if (typeof result?.then === "function") pending.push(result.then((result) => this.#check(rule, value, result), failed));
+                    else errors.push(...[this.#check(rule, value, result)].filter((x) => x !== null));
+                }
+                catch (e) {
+                    errors.push(failed(e));
+                }
+            }));
+
+            this.#report(field, errors, pending.length > 0);
+
+            return Promise.all(pending).then((results) => {
+                if (run === field.run && pending.length > 0) this.#report(field, [...field.errors, ...results.filter((x) => x !== null)], false);
+            });
+        };
+
+        #callValidator = (name, value) => {
+            if (!Object.hasOwn(binder.#functions, name))
+                throw new Error(JSBinder.#message(`Unknown function '${name}', see addFunction()`));
+
+            return binder.#functions[name](value);
+        };
+
+        // Returns null if the rule passed, or the error. Custom validators return true or a message.
+        #check = (rule, value, result) => {
+            if (rule.name === "custom" && typeof result === "string") return { name: rule.name, message: result };
+            return JSBinder.#VALIDATORS[rule.name](value, result) ? null : { name: rule.name, message: JSBinder.#VALIDATION_MESSAGES[rule.name](result) };
+        };
+
+        #report = (field, errors, pending) => {
+            field.errors = errors;
+            field.pending = pending;
+            field.obj.setCustomValidity(errors.find((x) => !x.native)?.message ?? "");
+            this.#publish(field);
+        };
+
+        // Updates the field in '$form' when its state has changed.
+        #publish = (field) => {
+            const previous = binder.#forms[field.form].fields[field.name];
+            const state = {
+                value: field.value,
+                valid: field.errors.length === 0 && !field.pending,
+                pending: field.pending,
+                errors: field.errors.map((x) => x.name),
+                message: field.errors[0]?.message ?? "",
+                touched: field.touched,
+                dirty: field.value !== field.initial,
+            };
+
+            if (JSBinder.#deepEqual(state, previous)) return;
+
+            this.#setForm(field.form, { ...binder.#forms[field.form].fields, [field.name]: state });
+            JSBinder.#dispatchEvent(field.obj, "validate", { valid: state.valid, errors: state.errors });
+        };
+
+        #setForm = (name, fields) => {
+            const states = Object.values(fields);
+
+            binder.#forms = { ...binder.#forms, [name]: {
+                valid: states.every((x) => x.valid),
+                pending: states.some((x) => x.pending),
+                touched: states.some((x) => x.touched),
+                dirty: states.some((x) => x.dirty),
+                fields,
+            } };
+
+            binder.#formChanged(name);
+        };
+    })(this);
+
+    // Link
+    //
+    // <a href="?page={{page + 1}}" data-link>Next</a>
+    // Requires the 'url' option. Links to other pages or opened in new tabs are left to the browser.
+    #linkDirective = ((binder) => new class {
+
+        // Attaches click event listeners navigating without reloading the page.
+        register = () => {
+            binder.#queryDirectives("[data-link]")
+                ((obj) => {
+                    JSBinder.#consumeDataset(obj)("link");
+
+                    if (binder.#urlSync === null)
+                        return binder.#templateError("'link' directive requires the 'url' option", obj);
+
+                    binder.#addEvent(obj)("click", (e) => {
+                        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+                        if (!["", "_self"].includes(obj.getAttribute("target") ?? "") || obj.hasAttribute("download") || !obj.hasAttribute("href")) return;
+
+                        const url = new URL(obj.getAttribute("href"), window.location.href);
+                        if (url.origin !== window.location.origin || url.pathname !== window.location.pathname) return;
+
+                        e.preventDefault();
+                        binder.#withOrigin("data-link", obj)(() => binder.#navigate(url.href));
+                        JSBinder.#dispatchEvent(obj, "link", { href: url.href });
                     });
                 });
         };
@@ -1331,7 +3799,7 @@ class JSBinder
                     const html = JSBinder.#cleanHTML(obj.innerHTML);
                     
                     if (!key.match(this.#RGX_TEMPLATE_DIRECTIVE))
-                        return JSBinder.#error(`'template' parameter 'key' must be a correct variable name`);
+                        return binder.#templateError(`'template' parameter 'key' must be a correct variable name`, obj);
                     
                     obj.remove();
 
@@ -1353,10 +3821,10 @@ class JSBinder
                     const template = this.#templates[key];
 
                     if (!template)
-                        return JSBinder.#error(`No template with key '${key}' found`);
+                        return binder.#templateError(`No template with key '${key}' found`, obj);
 
                     if (!source)
-                        return JSBinder.#error(`'render' must have 'source' defined`);
+                        return binder.#templateError(`'render' must have 'source' defined`, obj);
 
                     obj.innerHTML = template.replace(this.#RGX_VARIABLE_DATA, source);
                     JSBinder.#dispatchEvent(obj, "render");
@@ -1373,6 +3841,24 @@ class JSBinder
 
     #microtaskQueued = false;
 
+    // Promises waiting for the next run of the tasks, and for the runs to stop queueing more. [{ resolve, reject }, ...]
+    #tickWaiting = [];
+    #settledWaiting = [];
+
+    // With 'rejects' false the promise is resolved also when a task fails, the error being thrown by the task unless another promise is rejected with it.
+    #wait = (waiting, rejects = true) => new Promise((resolve, reject) => { waiting.push({ resolve, reject: rejects ? reject : resolve, rejects }); this.#queueTasks(); });
+
+    // Promise returned by state changes and scan(), resolved when settled.
+    #updated = () => this.#wait(this.#settledWaiting, false);
+
+    // Resolves the waiting promises after a run of the tasks, or rejects them with the 'error' of a failed task (strict mode).
+    // Returns true when a promise was rejected with the 'error'.
+    #settle = (error = null) => {
+        const waiting = [...this.#tickWaiting.splice(0), ...(error === null && this.#microtaskQueued ? [] : this.#settledWaiting.splice(0))];
+        waiting.forEach(({ resolve, reject }) => error === null ? resolve() : reject(error));
+        return waiting.some(({ rejects }) => rejects);
+    };
+
     #queueTasks = () => {
         if (this.#microtaskQueued) return;
 
@@ -1380,21 +3866,37 @@ class JSBinder
 
         window.queueMicrotask(() => {
             this.#microtaskQueued = false;
-             
-            if (this.#stateUpdated)  { this.#stateUpdated = false; JSBinder.#dispatchEvent(this.#settings.root, "stateupdated", {}); }
-            if (this.#needsRegister) { this.#needsRegister = false; this.#register(); }
-            if (this.#needsRefresh)  { this.#needsRefresh = false; this.#refresh(); }
+
+            // Changes made by the tasks below (watchers, validation...) are handled by the next microtask.
+            const changed = this.#changedPaths;
+            const changes = this.#changes;
+            const refresh = this.#needsRefresh;
+            this.#changedPaths = [];
+            this.#changes = [];
+            this.#needsRefresh = false;
+
+            try {
+                if (this.#stateUpdated)  { this.#stateUpdated = false; this.#recordHistory(changed); this.#persistChanges(changed); this.#syncUrl(changed); JSBinder.#dispatchEvent(this.#settings.root, "stateupdated", { changes: changes.map(({ path, ...x }) => ({ path: JSBinder.#formatPath(path), ...x })) }); this.#notifyWatchers(changed); }
+                if (this.#needsRegister) { this.#needsRegister = false; this.#register(); }
+                if (refresh)             { this.#refresh(changed); }
+            }
+            catch (e) {
+                if (!this.#settle(e)) throw e; // Thrown when nobody awaits nextTick() or settled().
+            }
+
+            this.#settle();
         });
      };
 
     #register = () => {
-        [this.#templateDirective, this.#ifDirective, this.#eachDirective, this.#forDirective, this.#interpolationDirective, this.#bindDirective, this.#attributeDirective, this.#classDirective, this.#styleDirective, this.#onClickDirective, this.#onChangeDirective].forEach(x => x.register());
+        [this.#templateDirective, this.#ifDirective, this.#switchDirective, this.#eachDirective, this.#forDirective, this.#interpolationDirective, this.#bindDirective, this.#attributeDirective, this.#classDirective, this.#styleDirective, this.#showDirective, this.#onClickDirective, this.#onChangeDirective, this.#onDirective, this.#modelDirective, this.#validateDirective, this.#linkDirective].forEach(x => x.register());
         this.#refresh();
     };
 
-    #refresh = () => {
+    // Refreshes the bindings depending on the 'changed' state paths, or all bindings when null.
+    #refresh = (changed = null) => {
         let count = 0;
-        [this.#ifDirective, this.#eachDirective, this.#forDirective, this.#interpolationDirective, this.#bindDirective, this.#attributeDirective, this.#classDirective, this.#styleDirective].forEach(x => count += x.refresh() ?? 0);
+        [this.#ifDirective, this.#switchDirective, this.#eachDirective, this.#forDirective, this.#interpolationDirective, this.#bindDirective, this.#attributeDirective, this.#classDirective, this.#styleDirective, this.#showDirective, this.#modelDirective, this.#validateDirective].forEach(x => count += x.refresh(changed) ?? 0);
         if (count === 0) count += this.#templateDirective.refresh();
         if (count > 0) this.#register();
     };
@@ -1402,6 +3904,7 @@ class JSBinder
 
     //ToDo: Add observder to automatically run dispose when root element is removed from dom?
     #dispose = () => {
+        this.#flushPersisted();
         this.#abortController.abort();
         this.#settings.root.removeAttribute("data-jsbinder");
         JSBinder.#info("Instance disposed!");
@@ -1412,7 +3915,7 @@ class JSBinder
      * This is useful when you dynamically add new elements to the DOM outside of JSBinder's control.
      * The scan is batched and executed in a microtask for performance.
      * 
-     * @returns {void}
+     * @returns {Promise<void>} Resolves when the new bindings have been registered and refreshed.
      * 
      * @example
      * // Add new elements to DOM
@@ -1430,7 +3933,34 @@ class JSBinder
      *     binder.scan(); // Register new bindings in the loaded HTML
      *   });
      */
-    scan = () => { this.#needsRegister = true; this.#queueTasks(); };
+    scan = () => { this.#needsRegister = true; return this.#updated(); };
+
+    /**
+     * Returns a promise resolved after the next run of the batched updates (state changes, scans and refreshes).
+     * Updates queued by that run, e.g. async validation results, may still be pending, see `settled()`.
+     * 
+     * @returns {Promise<void>}
+     * 
+     * @example
+     * binder.setState({ items: [...items, item] });
+     * await binder.nextTick();
+     * list.lastElementChild.scrollIntoView();
+     */
+    nextTick = () => this.#wait(this.#tickWaiting);
+
+    /**
+     * Returns a promise resolved when all batched updates are done, including updates queued by other updates
+     * and the re-registering of rendered templates. Rejected if an update fails in `strict` mode.
+     * 
+     * @returns {Promise<void>}
+     * 
+     * @example
+     * // In tests
+     * binder.setState({ todos: [{ title: 'Test', done: false }] });
+     * await binder.settled();
+     * expect(document.querySelectorAll('li').length).toBe(1);
+     */
+    settled = () => this.#wait(this.#settledWaiting);
 
     /**
      * Disposes the JSBinder instance, removing all event listeners and cleaning up resources.
@@ -0,0 +1,462 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createWindow, createBinder, text } = require("./setup.js");
+
+describe("data-show", () => {
+    test("hides with display none and keeps the element", async () => {
+        const { binder, document } = await createBinder(`<div data-show="open"><input></div>`, { open: false });
+        const div = document.querySelector("div");
+        div.firstChild.value = "typed";
+
+        assert.equal(div.style.display, "none");
+        await binder.setState({ open: true });
+        assert.equal(document.querySelector("div"), div);
+        assert.equal(div.firstChild.value, "typed");
+    });
+
+    test("restores the original inline display value", async () => {
+        const { binder, document } = await createBinder(`<div style="display: flex; color: red" data-show="open"></div>`, { open: false });
+        await binder.setState({ open: true });
+        assert.equal(document.querySelector("div").getAttribute("style"), "display: flex; color: red;");
+    });
+
+    test("removes the style attribute when the element had none", async () => {
+        const { binder, document } = await createBinder(`<div data-show="open"></div>`, { open: false });
+        await binder.setState({ open: true });
+        assert.equal(document.body.innerHTML, "<div></div>");
+    });
+
+    test("emits jsbinder-show events", async () => {
+        const { binder, document } = await createBinder(`<div data-show="open"></div>`, { open: true });
+        const actions = [];
+        document.body.addEventListener("jsbinder-show", (e) => actions.push(e.detail.action));
+        await binder.setState({ open: false });
+        await binder.setState({ open: true });
+        assert.deepEqual(actions, ["remove", "add"]);
+    });
+});
+
+describe("data-form and data-validate", () => {
+    // Returns a scanned "signup" form with 'fields', and a function typing into a field by name.
+    const form = async (fields, state = {}) => {
+        const { window, binder, document } = await createBinder(`<form data-form="signup">${fields}<p>{{$form.signup.valid}} {{$form.signup.touched}} {{$form.signup.dirty}}</p></form>`, state);
+        const type = async (name, value) => {
+            const field = document.querySelector(`[name=${name}]`);
+            field.value = value;
+            field.dispatchEvent(new window.Event("input", { bubbles: true }));
+            await binder.settled();
+        };
+        return { window, binder, document, type };
+    };
+
+    test("validates fields on input and exposes the state as $form", async () => {
+        const { document, type } = await form(`<input name="username" data-validate="required; minlength: min; pattern: '^[A-Z]'"><span>{{$form.signup.fields.username.message}}|{{$form.signup.fields.username.errors?.join(',')}}</span>`, { min: 3 });
+        assert.equal(text(document, "span"), "This field is required|required");
+        assert.equal(text(document), "false false false");
+
+        await type("username", "ab");
+        assert.equal(text(document, "span"), "Enter at least 3 characters|minlength,pattern");
+        assert.equal(text(document), "false false true");
+
+        await type("username", "Abc");
+        assert.equal(text(document, "span"), "|");
+        assert.equal(text(document), "true false true");
+    });
+
+    test("only checks empty values with required", async () => {
+        const { document, type } = await form(`<input name="email" data-validate="email">`);
+        assert.equal(text(document), "true false false");
+        await type("email", "bad");
+        assert.equal(text(document), "false false true");
+        assert.notEqual(document.querySelector("input").validationMessage, "");
+    });
+
+    test("revalidates when rule values change", async () => {
+        const { binder, document, type } = await form(`<input name="username" data-validate="minlength: min">`, { min: 2 });
+        await type("username", "abc");
+        assert.equal(text(document), "true false true");
+        await binder.set("min", 5);
+        assert.equal(text(document), "false false true");
+    });
+
+    test("sets custom expression messages with setCustomValidity()", async () => {
+        const { document, type } = await form(`<input name="confirm" data-validate="custom: @value === password || 'Passwords do not match'">`, { password: "pw" });
+        await type("confirm", "x");
+        assert.equal(document.querySelector("input").validationMessage, "Passwords do not match");
+        await type("confirm", "pw");
+        assert.equal(document.querySelector("input").validationMessage, "");
+    });
+
+    test("waits for async custom validators", async () => {
+        const window = createWindow(`<form data-form="signup"><input name="nick" data-validate="custom: #isFree"><p>{{$form.signup.pending}} {{$form.signup.valid}}</p></form>`);
+        const binder = new window.JSBinder();
+        binder.addFunction("isFree", (value) => new Promise((resolve) => setTimeout(() => resolve(value !== "taken" || "Taken"), 5)));
+        await binder.scan();
+        const input = window.document.querySelector("input");
+        input.value = "taken";
+        input.dispatchEvent(new window.Event("input", { bubbles: true }));
+        await binder.settled();
+        assert.equal(text(window.document), "true false");
+
+        assert.equal(await binder.validate("signup"), false);
+        assert.equal(text(window.document), "false false");
+        assert.equal(input.validationMessage, "Taken");
+    });
+
+    test("validate() marks fields as touched and resetForm() starts over", async () => {
+        const { binder, document, type } = await form(`<input name="username" data-validate="required">`);
+        await type("username", "Ann");
+        assert.equal(await binder.validate("signup"), true);
+        assert.equal(text(document), "true true true");
+
+        binder.resetForm("signup");
+        await binder.settled();
+        assert.equal(text(document), "true false false");
+    });
+
+    test("can not be assigned", async () => {
+        const { window, binder, document } = await form(`<button type="button" data-onclick="$form = 1">x</button>`);
+        document.querySelector("button").click();
+        await binder.settled();
+        assert.deepEqual(window.errors, ["JSBinder: '$form' can not be assigned"]);
+    });
+});
+
+describe("data-else-if and data-else", () => {
+    const chain = `<div><p data-if="role === 'admin'">Admin {{name}}</p> <!-- note --> <p data-else-if="role === 'editor'">Editor</p><p data-else>None</p></div>`;
+
+    test("render only the first branch with a truthy expression, or data-else", async () => {
+        const { binder, document } = await createBinder(chain, { role: "admin", name: "Ann" });
+        assert.equal(text(document, "div").trim(), "Admin Ann");
+
+        await binder.setState({ role: "editor" });
+        assert.equal(text(document, "div").trim(), "Editor");
+
+        await binder.setState({ role: "guest" });
+        assert.equal(text(document, "div").trim(), "None");
+        assert.equal(document.querySelectorAll("p").length, 1);
+    });
+
+    test("emit remove for the old branch before add for the new one", async () => {
+        const { binder, document } = await createBinder(chain, { role: "admin" });
+        const events = [];
+        document.body.addEventListener("jsbinder-if", (e) => events.push([e.detail.action, e.detail.branch]));
+
+        await binder.setState({ role: "editor" });
+        await binder.setState({ role: "guest" });
+        await binder.setState({ role: "other" });
+        assert.deepEqual(events, [["remove", 0], ["add", 1], ["remove", 1], ["add", 2]]);
+    });
+
+    test("report branches not following data-if or data-else-if", async () => {
+        const { window } = await createBinder(`<p data-if="a">A</p><span>B</span><p data-else>C</p>`);
+        assert.deepEqual(window.errors, ["JSBinder: 'else-if' and 'else' must directly follow an 'if' or 'else-if' element"]);
+    });
+});
+
+describe("data-switch", () => {
+    const order = `<div data-switch="status"><h3>Order</h3><p data-case="'pending'">Waiting</p><p data-case="'paid'; 'packed'">Preparing {{id}}</p><p data-default>Unknown</p></div>`;
+
+    // Returns the texts of the rendered children of the switch.
+    const rendered = (document) => [...document.querySelectorAll("div > *")].map((x) => x.textContent);
+
+    test("renders the first matching case and the children without case", async () => {
+        const { binder, document } = await createBinder(order, { status: "pending", id: 7 });
+        assert.deepEqual(rendered(document), ["Order", "Waiting"]);
+
+        await binder.setState({ status: "packed" });
+        assert.deepEqual(rendered(document), ["Order", "Preparing 7"]);
+    });
+
+    test("renders data-default when no case matches, comparing with ===", async () => {
+        const { binder, document } = await createBinder(`<div data-switch="n"><p data-case="1">One</p><p data-default>Other</p></div>`, { n: "1" });
+        assert.deepEqual(rendered(document), ["Other"]);
+
+        await binder.setState({ n: 1 });
+        assert.deepEqual(rendered(document), ["One"]);
+    });
+
+    test("emits jsbinder-switch events with the value and case index", async () => {
+        const { binder, document } = await createBinder(order, { status: "pending" });
+        const events = [];
+        document.body.addEventListener("jsbinder-switch", (e) => events.push([e.detail.value, e.detail.case]));
+
+        await binder.setState({ status: "paid" });
+        await binder.setState({ status: "lost" });
+        assert.deepEqual(events, [["paid", 1], ["lost", 2]]);
+    });
+});
+
+describe("data-transition", () => {
+    // Resolves after the next two animation frames, when the transitions started before have reached their second phase.
+    const frames = (window) => new Promise((resolve) => window.requestAnimationFrame(() => window.requestAnimationFrame(resolve)));
+
+    // Returns a binder where elements with one of the 'active' classes have a 1s transition, as jsdom does not compute CSS transitions.
+    const withTransitions = async (html, state, active) => {
+        const window = createWindow();
+        window.getComputedStyle = (obj) => ({
+            transitionDuration: active.some((x) => obj.classList.contains(x)) ? "1s" : "0s",
+            transitionDelay: "0s",
+            animationDuration: "0s",
+            animationDelay: "0s",
+        });
+        const binder = new window.JSBinder();
+        await binder.setState(state);
+        window.document.body.innerHTML = html;
+        await binder.scan();
+        return { window, binder, document: window.document };
+    };
+
+    test("is not run on the first render", async () => {
+        const { document } = await createBinder(`<div data-if="open" data-transition="fade">x</div>`, { open: true });
+        assert.equal(document.querySelector("div").className, "");
+    });
+
+    test("runs the enter classes on added elements", async () => {
+        const { window, binder, document } = await withTransitions(`<div data-if="open" data-transition="fade">x</div>`, { open: false }, ["fade-enter-active"]);
+        await binder.setState({ open: true });
+        const div = document.querySelector("div");
+        assert.equal(div.className, "fade-enter-from fade-enter-active");
+
+        await frames(window);
+        assert.equal(div.className, "fade-enter-active fade-enter-to");
+
+        div.dispatchEvent(new window.Event("transitionend"));
+        assert.equal(div.className, "");
+    });
+
+    test("keeps removed elements until their leave transition has ended, without updating them", async () => {
+        const { window, binder, document } = await withTransitions(`<div data-if="open" data-transition="fade">{{n}}</div>`, { open: true, n: 1 }, ["fade-leave-active"]);
+        await binder.setState({ open: false });
+        await binder.setState({ n: 2 });
+        assert.equal(document.querySelector("div").outerHTML, `<div class="fade-leave-from fade-leave-active">1</div>`);
+
+        await frames(window);
+        const div = document.querySelector("div");
+        assert.equal(div.className, "fade-leave-active fade-leave-to");
+
+        div.dispatchEvent(new window.Event("transitionend"));
+        assert.equal(document.querySelector("div"), null);
+    });
+
+    test("removes elements directly without a CSS transition or with reduced motion", async () => {
+        const { window: plain, binder, document } = await createBinder(`<ul><li data-each="@x in items" data-key="@x" data-transition="list">{{@x}}</li></ul>`, { items: [1, 2] });
+        await binder.setState({ items: [1] });
+        await frames(plain);
+        assert.equal(document.querySelectorAll("li").length, 1);
+
+        const window = createWindow(`<div data-if="open" data-transition="fade">x</div>`);
+        window.matchMedia = (query) => ({ matches: query === "(prefers-reduced-motion: reduce)" });
+        const reduced = new window.JSBinder();
+        await reduced.setState({ open: true });
+        await reduced.scan();
+        await reduced.setState({ open: false });
+        assert.equal(window.document.querySelector("div"), null);
+    });
+
+    test("animates moved data-each items with the move class", async () => {
+        const { window, binder, document } = await withTransitions(`<ul><li data-each="@x in items" data-key="@x" data-transition="list">{{@x}}</li></ul>`, { items: [1, 2, 3] }, ["list-move"]);
+        window.Element.prototype.getBoundingClientRect = function () { return { left: 0, top: [...this.parentNode.children].indexOf(this) * 10 }; };
+
+        await binder.setState({ items: [3, 1, 2] });
+        assert.deepEqual([...document.querySelectorAll("li")].map((x) => [x.textContent, x.className]), [["3", "list-move"], ["1", "list-move"], ["2", "list-move"]]);
+
+        for (const li of document.querySelectorAll("li")) li.dispatchEvent(new window.Event("transitionend"));
+        assert.deepEqual([...document.querySelectorAll("li")].map((x) => x.className), ["", "", ""]);
+    });
+});
+
+describe("data-on", () => {
+    // Returns the state values at 'paths'.
+    const values = (binder, ...paths) => paths.map((x) => binder.get(x));
+
+    test("runs the statements of each handler with the event as @event", async () => {
+        const { window, binder, document } = await createBinder(`<input data-on="keydown.enter: sent = @event.value; count++; focus: focused = true">`, { count: 0 });
+        const input = document.querySelector("input");
+        input.value = "hi";
+        input.dispatchEvent(new window.KeyboardEvent("keydown", { key: "a" }));
+        input.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Enter" }));
+        input.dispatchEvent(new window.FocusEvent("focus"));
+        await binder.settled();
+        assert.deepEqual(values(binder, "sent", "count", "focused"), ["hi", 1, true]);
+    });
+
+    test("filters on keys, system keys and mouse buttons", async () => {
+        const { window, binder, document } = await createBinder(`<div data-on="keydown.ctrl.s: saved++; keydown.page-down: paged++; mousedown.middle: panned++">x</div>`, { saved: 0, paged: 0, panned: 0 });
+        const div = document.querySelector("div");
+        div.dispatchEvent(new window.KeyboardEvent("keydown", { key: "s" }));
+        div.dispatchEvent(new window.KeyboardEvent("keydown", { key: "s", ctrlKey: true }));
+        div.dispatchEvent(new window.KeyboardEvent("keydown", { key: "PageDown" }));
+        div.dispatchEvent(new window.MouseEvent("mousedown", { button: 0 }));
+        div.dispatchEvent(new window.MouseEvent("mousedown", { button: 1 }));
+        await binder.settled();
+        assert.deepEqual(values(binder, "saved", "paged", "panned"), [1, 1, 1]);
+    });
+
+    test("prevent, stop, once and self", async () => {
+        const { window, binder, document } = await createBinder(`<div data-on="click: outer++"><p data-on="click.self.once.prevent.stop: inner++"><b>x</b></p></div>`, { outer: 0, inner: 0 });
+        const p = document.querySelector("p");
+        document.querySelector("b").click();
+        const event = new window.MouseEvent("click", { bubbles: true, cancelable: true });
+        p.dispatchEvent(event);
+        p.click();
+        await binder.settled();
+        assert.equal(event.defaultPrevented, true);
+        assert.deepEqual(values(binder, "outer", "inner"), [2, 1]);
+    });
+
+    test("outside only runs for events outside of the element", async () => {
+        const { binder, document } = await createBinder(`<nav data-on="click.outside: open = false"><b>x</b></nav><p>y</p>`, { open: true });
+        document.querySelector("b").click();
+        await binder.settled();
+        assert.equal(binder.get("open"), true);
+        document.querySelector("p").click();
+        await binder.settled();
+        assert.equal(binder.get("open"), false);
+    });
+
+    test("debounce runs once with the last event", async () => {
+        const { window, binder, document } = await createBinder(`<input data-on="input.debounce(20): query = @event.value; count++">`, { count: 0 });
+        const input = document.querySelector("input");
+        for (const value of ["a", "ab", "abc"]) {
+            input.value = value;
+            input.dispatchEvent(new window.Event("input"));
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await binder.settled();
+        assert.deepEqual(values(binder, "query", "count"), ["abc", 1]);
+    });
+
+    test("reports unknown modifiers and statements without an event", async () => {
+        const { window } = await createBinder(`<p data-on="click.enter: a = 1">x</p><p data-on="a = 1">y</p>`);
+        assert.deepEqual(window.errors.map((x) => x.split(":\n")[0]), ["JSBinder: Unknown 'on' modifier 'enter' for 'click'", "JSBinder: Incorrect 'on' syntax: a = 1"]);
+    });
+
+    test("listeners are removed by dispose()", async () => {
+        const { binder, document } = await createBinder(`<nav data-on="click.outside: count++">x</nav><p>y</p>`, { count: 0 });
+        binder.dispose();
+        document.querySelector("p").click();
+        assert.equal(binder.get("count"), 0);
+    });
+});
+
+describe("data-model", () => {
+    // Sets the value of the control matching 'selector' and dispatches 'type'.
+    const input = (window, selector, value, type = "input") => {
+        const obj = window.document.querySelector(selector);
+        obj.value = value;
+        obj.dispatchEvent(new window.Event(type, { bubbles: true }));
+    };
+
+    // Checks or unchecks the control matching 'selector' and dispatches change.
+    const check = (window, selector, checked = true) => {
+        const obj = window.document.querySelector(selector);
+        obj.checked = checked;
+        obj.dispatchEvent(new window.Event("change", { bubbles: true }));
+    };
+
+    test("binds text and number inputs both ways", async () => {
+        const { window, binder, document } = await createBinder(`<input type="text" data-model="user.name"><input type="number" data-model="user.age">`, { user: { name: "Ann", age: 30 } });
+        assert.deepEqual([...document.querySelectorAll("input")].map((x) => x.value), ["Ann", "30"]);
+
+        input(window, "[type=text]", "Bob");
+        input(window, "[type=number]", "42");
+        await binder.settled();
+        assert.deepEqual(JSON.parse(JSON.stringify(binder.get("user"))), { name: "Bob", age: 42 });
+
+        input(window, "[type=number]", "");
+        await binder.settled();
+        assert.equal(binder.get("user.age"), null);
+
+        await binder.setState({ user: { name: "Cid", age: 7 } });
+        assert.deepEqual([...document.querySelectorAll("input")].map((x) => x.value), ["Cid", "7"]);
+    });
+
+    test("checkboxes bind booleans, or arrays of values", async () => {
+        const { window, binder, document } = await createBinder(`<input id="ok" type="checkbox" data-model="accepted"><input id="red" type="checkbox" value="red" data-model="colors"><input id="blue" type="checkbox" value="blue" data-model="colors">`, { accepted: false, colors: ["red"] });
+        assert.deepEqual([...document.querySelectorAll("input")].map((x) => x.checked), [false, true, false]);
+
+        check(window, "#ok");
+        check(window, "#blue");
+        check(window, "#red", false);
+        await binder.settled();
+        assert.equal(binder.get("accepted"), true);
+        assert.deepEqual([...binder.get("colors")], ["blue"]);
+    });
+
+    test("radios bind the value of the checked radio", async () => {
+        const { window, binder, document } = await createBinder(`<input id="s" type="radio" name="size" value="1" data-model="size: number"><input id="m" type="radio" name="size" value="2" data-model="size: number">`, { size: 2 });
+        assert.deepEqual([...document.querySelectorAll("input")].map((x) => x.checked), [false, true]);
+
+        check(window, "#s");
+        await binder.settled();
+        assert.equal(binder.get("size"), 1);
+    });
+
+    test("selects bind the selected value, or arrays of values when multiple", async () => {
+        const { window, binder, document } = await createBinder(`<select id="one" data-model="page"><option>a</option><option>b</option></select><select id="many" multiple data-model="tags"><option>a</option><option>b</option><option>c</option></select>`, { page: "b", tags: ["a", "c"] });
+        assert.equal(document.querySelector("#one").value, "b");
+        assert.deepEqual([...document.querySelector("#many").selectedOptions].map((x) => x.value), ["a", "c"]);
+
+        input(window, "#one", "a", "change");
+        document.querySelector("#many").options[0].selected = false;
+        document.querySelector("#many").dispatchEvent(new window.Event("change", { bubbles: true }));
+        await binder.settled();
+        assert.equal(binder.get("page"), "a");
+        assert.deepEqual([...binder.get("tags")], ["c"]);
+    });
+
+    test("contenteditable binds the text content", async () => {
+        const { window, binder, document } = await createBinder(`<div contenteditable data-model="note"></div>`, { note: "hi" });
+        const div = document.querySelector("div");
+        assert.equal(div.textContent, "hi");
+
+        div.textContent = "hello";
+        div.dispatchEvent(new window.Event("input", { bubbles: true }));
+        await binder.settled();
+        assert.equal(binder.get("note"), "hello");
+    });
+
+    test("trim, number and lazy modifiers", async () => {
+        const { window, binder } = await createBinder(`<input id="a" data-model="name: trim.lazy"><input id="b" data-model="count: number">`, { name: "", count: 0 });
+        input(window, "#a", "  Ann ");
+        await binder.settled();
+        assert.equal(binder.get("name"), "");
+
+        input(window, "#a", "  Ann ", "change");
+        input(window, "#b", "12");
+        await binder.settled();
+        assert.equal(binder.get("name"), "Ann");
+        assert.equal(binder.get("count"), 12);
+
+        input(window, "#b", "12a");
+        await binder.settled();
+        assert.equal(binder.get("count"), "12a");
+    });
+
+    test("debounce assigns the last value once", async () => {
+        const { window, binder } = await createBinder(`<input data-model="query: debounce(20)">`, { query: "" });
+        let changes = 0;
+        window.addEventListener("jsbinder-stateupdated", () => changes++);
+        input(window, "input", "a");
+        input(window, "input", "ab");
+        await binder.settled();
+        assert.equal(binder.get("query"), "");
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await binder.settled();
+        assert.deepEqual([binder.get("query"), changes], ["ab", 1]);
+    });
+
+    test("binds aliases in data-each", async () => {
+        const { window, binder } = await createBinder(`<ul><li data-each="@todo in todos" data-key="@todo.id"><input type="checkbox" data-model="@todo.done"></li></ul>`, { todos: [{ id: 1, done: false }, { id: 2, done: false }] });
+        check(window, "li:nth-child(2) input");
+        await binder.settled();
+        assert.deepEqual(JSON.parse(JSON.stringify(binder.get("todos"))), [{ id: 1, done: false }, { id: 2, done: true }]);
+    });
+
+    test("reports unsupported controls and incorrect modifiers", async () => {
+        const { window } = await createBinder(`<input type="file" data-model="file"><input data-model="name: upper">`);
+        assert.deepEqual(window.errors.map((x) => x.split(":\n")[0]), [`JSBinder: 'model' directive is not supported for <input type="file">`, "JSBinder: Incorrect 'model' modifier: upper"]);
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createWindow, createBinder, render } = require("./setup.js");
+
+describe("member access", () => {
+    test("reads chained numeric segments as indexes, not decimals", async () => {
+        const grid = [[1, 2], [3, 4]];
+        assert.equal(await render("grid.0.1", { grid }), "2");
+        assert.equal(await render("grid.1.0 + 0.5", { grid }), "3.5");
+        assert.equal(await render("grid.1[1] * 1.5", { grid }), "6");
+    });
+});
+
+describe("operators", () => {
+    test("optional chaining returns undefined for nullish values", async () => {
+        assert.equal(await render("user?.address?.city ?? 'none'", {}), "none");
+        assert.equal(await render("user?.address?.city", { user: { address: { city: "Oslo" } } }), "Oslo");
+        assert.equal(await render("items?.[1]", { items: ["a", "b"] }), "b");
+        assert.equal(await render("user?.name.length ?? -1", { user: null }), "-1");
+    });
+
+    test("optional chaining ends the whole chain on a nullish value", async () => {
+        const { window, document } = await createBinder(`<p>{{a?.b.c.d ?? 'end'}}</p>`, { a: null });
+        assert.equal(document.querySelector("p").textContent, "end");
+        assert.deepEqual(window.errors, []);
+    });
+
+    test("in tests values of arrays and strings and own keys of objects", async () => {
+        assert.equal(await render("'admin' in roles", { roles: ["user", "admin"] }), "true");
+        assert.equal(await render("'guest' in roles", { roles: ["user", "admin"] }), "false");
+        assert.equal(await render("'corp' in email", { email: "a@corp.com" }), "true");
+        assert.equal(await render("'name' in user", { user: { name: "Ann" } }), "true");
+        assert.equal(await render("'toString' in user", { user: {} }), "false");
+        assert.equal(await render("'x' in missing", {}), "false");
+    });
+
+    test("typeof binds tighter than comparisons", async () => {
+        assert.equal(await render("typeof value === 'number'", { value: 5 }), "true");
+        assert.equal(await render("typeof value === 'number'", { value: "5" }), "false");
+        assert.equal(await render("typeof missing", {}), "undefined");
+        assert.equal(await render("typeof user.name", { user: { name: "Ann" } }), "string");
+    });
+
+    test("matches tests regular expression literals and pattern strings", async () => {
+        assert.equal(await render("email matches /@corp\\.com$/", { email: "ann@corp.com" }), "true");
+        assert.equal(await render("email matches /@corp\\.com$/", { email: "ann@corp.com.org" }), "false");
+        assert.equal(await render("email matches /@CORP\\.com$/i", { email: "ann@corp.com" }), "true");
+        assert.equal(await render("code matches pattern", { code: "AB12", pattern: "^[A-Z]{2}\\d+$" }), "true");
+        assert.equal(await render("missing matches /.*/", {}), "false");
+    });
+});
+
+describe("precedence", () => {
+    test("arithmetic", async () => {
+        assert.equal(await render("1 + 2 * 3", {}), "7");
+        assert.equal(await render("(1 + 2) * 3", {}), "9");
+        assert.equal(await render("2 ** 3 * 2", {}), "16");
+        assert.equal(await render("10 - 4 - 3", {}), "3");
+        assert.equal(await render("-a + 1", { a: 2 }), "-1");
+    });
+
+    test("in and matches bind like relational operators", async () => {
+        assert.equal(await render("1 + 1 in list", { list: [2] }), "true");
+        assert.equal(await render("'a' in list === false", { list: ["b"] }), "true");
+        assert.equal(await render("name matches /^A/ && name.length > 2", { name: "Ann" }), "true");
+    });
+
+    test("logical operators and ternaries", async () => {
+        assert.equal(await render("a || b && c", { a: true, b: false, c: false }), "true");
+        assert.equal(await render("!a && b", { a: false, b: true }), "true");
+        assert.equal(await render("a ?? 'x' + 'y'", { a: null }), "xy");
+        assert.equal(await render("a > 1 ? 'big' : a > 0 ? 'small' : 'none'", { a: 1 }), "small");
+        assert.equal(await render("typeof a === 'string' ? a.length : 0", { a: "abc" }), "3");
+    });
+});
+
+describe("short-circuiting", () => {
+    // Renders 'expression' with a #count() function counting its calls.
+    const countCalls = async (expression, state) => {
+        let calls = 0;
+        const { window, binder } = await createBinder("", state);
+        binder.addFunction("count", () => { calls++; return true; });
+        window.document.body.innerHTML = `<p>{{${expression}}}</p>`;
+        await binder.scan();
+        return { calls, text: window.document.querySelector("p").textContent };
+    };
+
+    test("&&, || and ?? only evaluate the right side when needed", async () => {
+        assert.deepEqual(await countCalls("false && #count()", {}), { calls: 0, text: "false" });
+        assert.deepEqual(await countCalls("true && #count()", {}), { calls: 1, text: "true" });
+        assert.deepEqual(await countCalls("true || #count()", {}), { calls: 0, text: "true" });
+        assert.deepEqual(await countCalls("'a' ?? #count()", {}), { calls: 0, text: "a" });
+        assert.deepEqual(await countCalls("null ?? #count()", {}), { calls: 1, text: "true" });
+    });
+
+    test("ternaries only evaluate the chosen branch", async () => {
+        assert.deepEqual(await countCalls("ok ? 1 : #count()", { ok: true }), { calls: 0, text: "1" });
+        assert.deepEqual(await countCalls("ok ? 1 : #count()", { ok: false }), { calls: 1, text: "true" });
+    });
+
+    test("optional chaining skips calls on nullish values", async () => {
+        assert.deepEqual(await countCalls("user?.[#count()]", { user: null }), { calls: 0, text: "undefined" });
+    });
+});
+
+describe("parse errors", () => {
+    // Returns the errors logged when scanning 'html'.
+    const errorsOf = async (html) => (await createBinder(html)).window.errors;
+
+    test("report the position, attribute and element with a caret", async () => {
+        const [message] = await errorsOf(`<p data-if="a +* b">x</p>`);
+        assert.equal(message, "JSBinder: Unexpected '*' at position 3 in data-if on <p>:\n    a +* b\n       ^");
+    });
+
+    test("report unclosed brackets and dangling operators", async () => {
+        assert.match((await errorsOf(`<p data-if="(a && b">x</p>`))[0], / at position \d+ in data-if on <p>/);
+        assert.match((await errorsOf(`<p data-if="a ? b">x</p>`))[0], / at position \d+ in data-if on <p>/);
+        assert.match((await errorsOf(`<p data-if="a matches">x</p>`))[0], / at position \d+ in data-if on <p>/);
+        assert.match((await errorsOf(`<p data-if="'open">x</p>`))[0], / at position 0 in data-if on <p>/);
+    });
+
+    test("report positions of mapped expressions within the whole attribute value", async () => {
+        const [message] = await errorsOf(`<p data-class="'a' : x;  'b' : y +* z">x</p>`);
+        assert.equal(message, "JSBinder: Unexpected '*' at position 18 in data-class on <p>:\n    'a' : x; 'b' : y +* z\n                      ^");
+        assert.match((await errorsOf(`<p data-style="'color' : c; 'width' : (w">x</p>`))[0], / at position 25 in data-style on <p>/);
+        assert.match((await errorsOf(`<p data-attr="'title' : t +* u">x</p>`))[0], / at position 13 in data-attr on <p>/);
+    });
+
+    test("report an error once for elements repeated from one template", async () => {
+        const { window, binder } = await createBinder(`<ul><li data-each="@x in items" data-key="@x">{{@x +* 1}}</li></ul>`, { items: [1, 2, 3] });
+        assert.equal(window.errors.length, 1);
+        await binder.setState({ items: [1, 2, 3, 4] });
+        assert.equal(window.errors.length, 1);
+        assert.equal((await createBinder(`<p data-for="@n" data-from="1" data-to="12">{{@n +* 1}}</p>`)).window.errors.length, 1);
+    });
+
+    test("report the attribute of the expression", async () => {
+        assert.match((await errorsOf(`<p data-each="@x in items" data-key="@x" data-where="@x >">x</p>`))[0], / in data-where on <p>/);
+        assert.match((await errorsOf(`<button data-onclick="count + = 1">x</button>`))[0], / in data-onclick on <button>/);
+    });
+
+    test("reject settled() in strict mode", async () => {
+        const window = createWindow(`<p data-if="a +* b">x</p>`);
+        const binder = new window.JSBinder({ strict: true });
+        const settled = binder.settled();
+        binder.scan();
+        await assert.rejects(settled, { message: /^JSBinder: Unexpected '\*' at position 3/ });
+        assert.deepEqual(window.errors, []);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createWindow, text } = require("./setup.js");
+
+// Resolves after 'ms' milliseconds, to let debounced writes run.
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Returns a window with 'stored' saved under the key "app" in local storage.
+const windowWith = (html, stored) => {
+    const window = createWindow(html);
+    if (stored !== undefined) window.localStorage.setItem("app", JSON.stringify(stored));
+    return window;
+};
+
+// Returns the state saved under the key "app".
+const storedState = (window) => JSON.parse(window.localStorage.getItem("app"))?.state;
+
+describe("persist", () => {
+    test("restores the stored state before the first render", async () => {
+        const window = windowWith(`<p>{{theme}}</p>`, { version: 1, state: { theme: "dark" } });
+        const binder = new window.JSBinder({ persist: { key: "app" } });
+        await binder.scan();
+        assert.equal(text(window.document), "dark");
+    });
+
+    test("keeps restored values over the initial state and does not write it back", async () => {
+        const window = windowWith(`<p>{{theme}} {{size}}</p>`, { version: 1, state: { theme: "dark" } });
+        const binder = new window.JSBinder({ persist: { key: "app", debounce: 0 } });
+        await binder.setState({ theme: "light", size: 2 });
+        await binder.scan();
+        await wait(10);
+        assert.equal(text(window.document), "dark 2");
+        assert.deepEqual(storedState(window), { theme: "dark" });
+
+        await binder.setState({ theme: "light" });
+        await wait(10);
+        assert.equal(text(window.document), "light 2");
+        assert.deepEqual(storedState(window), { theme: "light", size: 2 });
+    });
+
+    test("writes changes made after restoring a state that changed nothing", async () => {
+        const window = windowWith("", { version: 1, state: {} });
+        const binder = new window.JSBinder({ persist: { key: "app", debounce: 0 } });
+        await binder.settled();
+        await binder.set("theme", "light");
+        await wait(10);
+        assert.deepEqual(storedState(window), { theme: "light" });
+    });
+
+    test("writes only the persisted paths", async () => {
+        const window = windowWith("");
+        const binder = new window.JSBinder({ persist: { key: "app", paths: ["prefs"], debounce: 0 } });
+        await binder.setState({ prefs: { theme: "dark" }, draft: "x" });
+        await wait(10);
+        await binder.set("prefs.theme", "light");
+        await wait(10);
+        assert.deepEqual(storedState(window), { prefs: { theme: "light" } });
+    });
+
+    test("ignores data of another version unless migrated", async () => {
+        const stored = { version: 1, state: { darkMode: true } };
+        const ignored = new (windowWith("", stored).JSBinder)({ persist: { key: "app", version: 2 } });
+        assert.deepEqual(JSON.parse(JSON.stringify(ignored.getState())), {});
+
+        const migrate = (state, version) => ({ theme: state.darkMode && version === 1 ? "dark" : "light" });
+        const migrated = new (windowWith("", stored).JSBinder)({ persist: { key: "app", version: 2, migrate } });
+        assert.deepEqual(JSON.parse(JSON.stringify(migrated.getState())), { theme: "dark" });
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createWindow, createBinder, text } = require("./setup.js");
+
+describe("fine-grained refresh", () => {
+    test("refreshes only bindings reading changed paths, with the same result as a full refresh", async () => {
+        const { binder, document } = await createBinder(`<p id="a">{{user.name}}</p><p id="b">{{count}}</p>`, { user: { name: "Ann" }, count: 1 });
+        const b = document.getElementById("b").firstChild;
+
+        await binder.setState({ user: { name: "Bob" } });
+        assert.equal(text(document, "#a"), "Bob");
+        assert.equal(document.getElementById("b").firstChild, b);
+        assert.equal(text(document, "#b"), "1");
+    });
+
+    test("refreshes bindings on computed properties when their state changes", async () => {
+        const window = createWindow();
+        const document = window.document;
+        const binder = new window.JSBinder();
+        binder.addComputed("total", (state) => state.cart.items.reduce((sum, x) => sum + x, 0));
+        await binder.setState({ cart: { items: [1, 2] } });
+        document.body.innerHTML = `<p>{{total}}</p>`;
+        await binder.scan();
+        assert.equal(text(document), "3");
+
+        await binder.push("cart.items", 5);
+        assert.equal(text(document), "8");
+
+        await binder.setState({ cart: { items: [] } });
+        assert.equal(text(document), "0");
+
+        await binder.set("cart.items", [4]);
+        assert.equal(text(document), "4");
+    });
+
+    test("refreshes bindings on computed properties using other computed properties", async () => {
+        const window = createWindow();
+        const document = window.document;
+        const binder = new window.JSBinder();
+        binder.addComputed("count", (state) => state.items.length);
+        binder.addComputed("label", (state) => `${state.count} items`);
+        await binder.setState({ items: [] });
+        document.body.innerHTML = `<p>{{label}}</p>`;
+        await binder.scan();
+        assert.equal(text(document), "0 items");
+
+        await binder.push("items", "a");
+        assert.equal(text(document), "1 items");
+    });
+
+    test("refreshes bindings on functions reading state with get() and getState()", async () => {
+        const window = createWindow();
+        const document = window.document;
+        const binder = new window.JSBinder();
+        binder.addFunction("price", (x) => x * binder.getState().rate);
+        binder.addFunction("tax", (x) => x * binder.get("vat"));
+        await binder.setState({ n: 1, rate: 2, vat: 3 });
+        document.body.innerHTML = `<p id="a">{{#price(n)}}</p><p id="b">{{#tax(n)}}</p>`;
+        await binder.scan();
+        assert.equal(text(document, "#a"), "2");
+        assert.equal(text(document, "#b"), "3");
+
+        await binder.set("rate", 5);
+        assert.equal(text(document, "#a"), "5");
+
+        await binder.set("vat", 4);
+        assert.equal(text(document, "#b"), "4");
+    });
+
+    test("refreshes bindings on impure functions on every state change", async () => {
+        const window = createWindow();
+        const document = window.document;
+        const binder = new window.JSBinder();
+        let rate = 2;
+        binder.addFunction("price", (x) => x * rate, { pure: false });
+        await binder.setState({ n: 1, other: 0 });
+        document.body.innerHTML = `<p>{{#price(n)}}</p>`;
+        await binder.scan();
+        assert.equal(text(document), "2");
+
+        rate = 5;
+        await binder.set("other", 1);
+        assert.equal(text(document), "5");
+    });
+});
+
+describe("settled and nextTick", () => {
+    test("state changes resolve when the DOM has been updated", async () => {
+        const { binder, document } = await createBinder(`<p>{{count}}</p>`, { count: 1 });
+        const updated = binder.setState({ count: 2 });
+        assert.equal(text(document), "1");
+        await updated;
+        assert.equal(text(document), "2");
+
+        binder.set("count", 3);
+        await binder.nextTick();
+        assert.equal(text(document), "3");
+    });
+
+    test("settled() waits for rendered templates to be registered", async () => {
+        const { binder, document } = await createBinder(`<div data-if="open"><p>{{name}}</p></div>`, { open: false, name: "Ann" });
+        binder.setState({ open: true });
+        await binder.settled();
+        assert.equal(text(document), "Ann");
+    });
+
+    test("failing updates reject settled() in strict mode without throwing", async () => {
+        const window = createWindow();
+        const thrown = [];
+        window.addEventListener("error", (e) => { thrown.push(e.error); e.preventDefault(); });
+        const binder = new window.JSBinder({ strict: true });
+        window.document.body.innerHTML = `<p data-if="a +* b">x</p>`;
+
+        const scanned = binder.scan();
+        await assert.rejects(binder.settled(), { message: /^JSBinder: Unexpected '\*'/ });
+        await scanned;
+        assert.deepEqual(thrown, []);
+    });
+
+    test("failing updates are thrown in strict mode when nobody waits for settled()", async () => {
+        const window = createWindow();
+        const thrown = [];
+        window.addEventListener("error", (e) => { thrown.push(e.error.message); e.preventDefault(); });
+        const binder = new window.JSBinder({ strict: true });
+        window.document.body.innerHTML = `<p data-if="a +* b">x</p>`;
+
+        await binder.scan();
+        assert.equal(thrown.length, 1);
+        assert.match(thrown[0], /^JSBinder: Unexpected '\*'/);
+    });
+});
@@ -0,0 +1,35 @@
+// Loads binder.js into a jsdom window, as it is a browser script defining a global JSBinder class.
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "binder.js"), "utf8");
+
+// Returns a window with JSBinder loaded and 'html' as the body.
+// Messages logged with console.error (template and API errors) are collected in 'window.errors'.
+const createWindow = (html = "") => {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { runScripts: "outside-only", url: "http://localhost/", pretendToBeVisual: true });
+    dom.window.structuredClone = structuredClone;
+    dom.window.errors = [];
+    dom.window.console.error = (message) => { dom.window.errors.push(message); }; // Returns undefined like console.error.
+    dom.window.eval(`${source}\nwindow.JSBinder = JSBinder;`);
+    return dom.window;
+};
+
+// Returns a scanned binder for 'html' with 'state', and the window it runs in.
+const createBinder = async (html, state = {}, options = {}) => {
+    const window = createWindow(html);
+    const binder = new window.JSBinder(options);
+    await binder.setState(state);
+    await binder.scan();
+    await binder.settled();
+    return { window, binder, document: window.document };
+};
+
+// Returns the text of the element matching 'selector'.
+const text = (document, selector = "p") => document.querySelector(selector).textContent;
+
+// Renders '{{expression}}' with 'state' and returns the text.
+const render = async (expression, state = {}) => text((await createBinder(`<p>{{${expression}}}</p>`, state)).document);
+
+module.exports = { createWindow, createBinder, text, render };
@@ -0,0 +1,300 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createWindow, createBinder, text } = require("./setup.js");
+
+describe("array helpers", () => {
+    test("update the array and bindings", async () => {
+        const { binder, document } = await createBinder(`<p>{{items.join(',')}}</p>`, { items: [1, 2] });
+
+        assert.equal(await binder.push("items", 3, 4), 4);
+        assert.equal(text(document), "1,2,3,4");
+        assert.deepEqual([...await binder.remove("items", -1)], [4]);
+        assert.deepEqual([...await binder.remove("items", (x) => x % 2 === 1)], [1, 3]);
+        assert.equal(await binder.insert("items", 0, 0), 2);
+        assert.equal(text(document), "0,2");
+        assert.equal(await binder.push("missing.list", "a"), 1);
+        assert.deepEqual(JSON.parse(JSON.stringify(binder.get("missing"))), { list: ["a"] });
+    });
+
+    test("trigger watchers with the old array", async () => {
+        const { binder } = await createBinder("", { cart: { items: [9] } });
+        const calls = [];
+        binder.watch("cart.items", (items, old) => calls.push([items, old]));
+
+        await binder.push("cart.items", 2);
+        await binder.insert("cart.items", 0, 1);
+        await binder.remove("cart.items", 0);
+        await binder.setState({ cart: { items: [] } });
+
+        assert.deepEqual(JSON.parse(JSON.stringify(calls)), [
+            [[9, 2], [9]],
+            [[1, 9, 2], [9, 2]],
+            [[9, 2], [1, 9, 2]],
+            [[], [9, 2]],
+        ]);
+    });
+
+    test("do not change arrays read before", async () => {
+        const { binder } = await createBinder("", { items: [1] });
+        const changes = [];
+        binder.watch("items", (items, old) => changes.push(old));
+
+        await binder.push("items", 2);
+        assert.deepEqual([...changes[0]], [1]);
+    });
+});
+
+describe("history", () => {
+    test("undo and redo recorded changes", async () => {
+        const { binder, document } = await createBinder(`<p>{{count}}</p>`, { count: 1 }, { history: true });
+        await binder.setState({ count: 2 });
+        await binder.setState({ count: 3 });
+
+        binder.undo();
+        await binder.settled();
+        assert.equal(text(document), "2");
+        binder.undo();
+        await binder.settled();
+        assert.equal(text(document), "1");
+        binder.redo();
+        await binder.settled();
+        assert.equal(text(document), "2");
+    });
+
+    test("discard redoable snapshots on a new change", async () => {
+        const { binder } = await createBinder("", { count: 1 }, { history: true });
+        await binder.setState({ count: 2 });
+        binder.undo();
+        await binder.settled();
+        await binder.setState({ count: 5 });
+        binder.redo();
+        await binder.settled();
+        assert.equal(binder.get("count"), 5);
+        assert.deepEqual(JSON.parse(JSON.stringify(binder.getHistory().snapshots)), [{}, { count: 1 }, { count: 5 }]);
+    });
+
+    test("keep excluded paths when travelling", async () => {
+        const { binder } = await createBinder("", { count: 1, menuOpen: false }, { history: { exclude: ["menuOpen"] } });
+        await binder.setState({ count: 2, menuOpen: true });
+        binder.undo();
+        await binder.settled();
+        assert.equal(binder.get("count"), 1);
+        assert.equal(binder.get("menuOpen"), true);
+    });
+
+    test("expose $history.canUndo and $history.canRedo without hiding state keys", async () => {
+        const { binder, document } = await createBinder(`<p>{{$history.canUndo}} {{$history.canRedo}} {{canUndo}}</p>`, { count: 1, canUndo: "own" }, { history: true });
+        binder.clearHistory();
+        await binder.settled();
+        assert.equal(text(document), "false false own");
+
+        await binder.setState({ count: 2 });
+        assert.equal(text(document), "true false own");
+
+        binder.undo();
+        await binder.settled();
+        assert.equal(text(document), "false true own");
+    });
+});
+
+describe("set and get", () => {
+    test("set values by path, creating missing objects and arrays", async () => {
+        const { binder, document } = await createBinder(`<p>{{settings.theme.color}} {{tags[0]}}</p>`, {});
+        await binder.set("settings.theme.color", "dark");
+        await binder.set("tags[0]", "new");
+        assert.equal(text(document), "dark new");
+        assert.equal(Array.isArray(binder.get("tags")), true);
+        assert.equal(binder.get("settings.theme.color"), "dark");
+    });
+
+    test("report other values on the way instead of replacing them", async () => {
+        const { window, binder } = await createBinder("", { user: { name: "Ann" }, items: "none" });
+        await binder.set("user.name.first", "x");
+        assert.equal(await binder.push("user.name.list", 1), undefined);
+        assert.equal(await binder.toggle("user.name.open"), undefined);
+        assert.deepEqual(JSON.parse(JSON.stringify(binder.getState())), { user: { name: "Ann" }, items: "none" });
+        assert.deepEqual(window.errors, [
+            "JSBinder: Can not set 'user.name.first', 'user.name' is not an object",
+            "JSBinder: Can not set 'user.name.list', 'user.name' is not an object",
+            "JSBinder: Can not set 'user.name.open', 'user.name' is not an object",
+        ]);
+    });
+
+    test("return copies", async () => {
+        const { binder } = await createBinder("", { user: { name: "Ann" } });
+        binder.get("user").name = "Bob";
+        assert.equal(binder.get("user.name"), "Ann");
+    });
+});
+
+describe("stateupdated event", () => {
+    // Returns a binder for 'state' and the changes of each 'jsbinder-stateupdated' event, with the elements replaced by their tag names.
+    const listen = async (html, state) => {
+        const { window, binder, document } = await createBinder(html, state);
+        const events = [];
+        document.body.addEventListener("jsbinder-stateupdated", (e) => events.push(JSON.parse(JSON.stringify(e.detail.changes.map((x) => ({ ...x, element: x.element?.tagName ?? null }))))));
+        return { window, binder, document, events };
+    };
+
+    test("reports changed paths with old and new values once per batch", async () => {
+        const { binder, events } = await listen("", { a: 1, b: 2, user: { name: "Ann", email: "a@x" } });
+        binder.setState({ a: 1, b: 3, user: { name: "Bob" } });
+        await binder.set("c", true);
+
+        assert.deepEqual(events, [[
+            { path: "b", oldValue: 2, newValue: 3, origin: "setState", element: null },
+            { path: "user.name", oldValue: "Ann", newValue: "Bob", origin: "setState", element: null },
+            { path: "c", newValue: true, origin: "api", element: null },
+        ]]);
+    });
+
+    test("does not report or refresh values set to an equal value", async () => {
+        const { binder, events } = await listen("", { a: 1, list: [1, 2] });
+        const calls = [];
+        binder.watch("a", (value) => calls.push(value));
+        await binder.setState({ a: 1, list: [1, 2] });
+        await binder.setState({ a: 2 });
+
+        assert.deepEqual(events, [[{ path: "a", oldValue: 1, newValue: 2, origin: "setState", element: null }]]);
+        assert.deepEqual(calls, [2]);
+    });
+
+    test("reports the directive and element making the change", async () => {
+        const { document, events } = await listen(`<button data-onclick="count += 1">+</button>`, { count: 0 });
+        document.querySelector("button").click();
+        await new Promise((resolve) => setTimeout(resolve));
+
+        assert.deepEqual(events, [[{ path: "count", oldValue: 0, newValue: 1, origin: "data-onclick", element: "BUTTON" }]]);
+    });
+});
+
+describe("computed properties", () => {
+    // Returns a binder with the computed properties added before setting 'state' and scanning 'html'.
+    const withComputed = async (html, state, computed) => {
+        const window = createWindow();
+        const binder = new window.JSBinder();
+        Object.entries(computed).forEach(([name, method]) => binder.addComputed(name, method));
+        await binder.setState(state);
+        window.document.body.innerHTML = html;
+        await binder.scan();
+        return { window, binder, document: window.document };
+    };
+
+    test("are read in expressions and only recomputed when their state paths change", async () => {
+        let calls = 0;
+        const { binder, document } = await withComputed(`<p>{{count}} {{count * 2}}</p>`, { items: [1], other: 0 }, {
+            count: (state) => { calls++; return state.items.length; },
+        });
+        assert.equal(text(document), "1 2");
+        assert.equal(calls, 1);
+
+        await binder.set("other", 1);
+        assert.equal(calls, 1);
+
+        await binder.push("items", 2);
+        assert.equal(text(document), "2 4");
+        assert.equal(calls, 2);
+    });
+
+    test("can use other computed properties", async () => {
+        const { binder } = await withComputed("", { price: 10 }, {
+            total: (state) => state.price * 2,
+            withTax: (state) => state.total * 1.25,
+        });
+        assert.equal(binder.get("withTax"), 25);
+        await binder.set("price", 4);
+        assert.equal(binder.get("withTax"), 10);
+    });
+
+    test("report circular properties and evaluate to undefined", async () => {
+        const { window, document } = await withComputed(`<p>{{a}}</p>`, {}, { a: (state) => state.b, b: (state) => state.a });
+        assert.equal(text(document), "undefined");
+        assert.deepEqual(window.errors, ["JSBinder: Circular computed properties: a > b > a"]);
+    });
+
+    test("can not modify the state or be assigned", async () => {
+        const { window, binder, document } = await withComputed(`<button data-onclick="total = 5">x</button>`, { items: [1] }, {
+            total: (state) => state.items.length,
+            broken: (state) => { state.items = []; return 0; },
+        });
+        binder.get("broken");
+        document.querySelector("button").click();
+        await binder.settled();
+
+        assert.equal(binder.get("total"), 1);
+        assert.deepEqual(window.errors, ["JSBinder: Computed properties can not modify state", "JSBinder: Computed property 'total' can not be assigned"]);
+    });
+
+    test("are included in getState() with the computed option", async () => {
+        const { binder } = await withComputed("", { items: [1, 2] }, { count: (state) => state.items.length });
+        assert.equal(binder.getState().count, undefined);
+        assert.equal(binder.getState({ computed: true }).count, 2);
+    });
+});
+
+describe("watch", () => {
+    // Returns a callback collecting its calls as [newValue, oldValue, path] in 'calls'.
+    const collect = (calls) => (value, old, path) => calls.push(JSON.parse(JSON.stringify([value, old ?? null, path])));
+
+    test("calls the callback when the value is replaced, not when changed inside", async () => {
+        const { binder } = await createBinder("", { user: { name: "Ann" } });
+        const calls = [];
+        binder.watch("user", collect(calls));
+
+        await binder.set("user.name", "Bob");
+        await binder.set("user", { name: "Cid" });
+        assert.deepEqual(calls, [[{ name: "Cid" }, { name: "Bob" }, "user"]]);
+    });
+
+    test("calls deep watchers for changes inside the value with a copy of the old value", async () => {
+        const { binder } = await createBinder("", { user: { name: "Ann" } });
+        const calls = [];
+        binder.watch("user", collect(calls), { deep: true });
+
+        await binder.set("user.name", "Bob");
+        await binder.setState({ user: { age: 3 } });
+        assert.deepEqual(calls, [[{ name: "Bob" }, { name: "Ann" }, "user"], [{ name: "Bob", age: 3 }, { name: "Bob" }, "user"]]);
+    });
+
+    test("calls wildcard watchers once for every changed item, immediately when asked", async () => {
+        const { binder } = await createBinder("", { users: [{ status: "a" }, { status: "b" }] });
+        const calls = [];
+        binder.watch("users[*].status", collect(calls), { immediate: true });
+
+        await binder.set("users[1].status", "c");
+        assert.deepEqual(calls, [["a", null, "users[0].status"], ["b", null, "users[1].status"], ["c", "b", "users[1].status"]]);
+    });
+
+    test("watches computed properties", async () => {
+        const { binder } = await createBinder("", { n: 1 });
+        const calls = [];
+        binder.addComputed("double", (state) => state.n * 2);
+        binder.watch("double", collect(calls));
+
+        await binder.set("n", 2);
+        assert.deepEqual(calls, [[4, 2, "double"]]);
+    });
+
+    test("calls callbacks before the bindings are refreshed and keeps going when one fails", async () => {
+        const { window, binder, document } = await createBinder(`<p>{{n}}</p>`, { n: 1 });
+        const seen = [];
+        binder.watch("n", () => { throw new Error("failed"); });
+        binder.watch("n", () => seen.push(text(document)));
+
+        await binder.set("n", 2);
+        assert.deepEqual(seen, ["1"]);
+        assert.equal(text(document), "2");
+        assert.equal(window.errors[0], "JSBinder: Watcher for 'n' failed:");
+    });
+
+    test("stops calling the callback once removed", async () => {
+        const { binder } = await createBinder("", { n: 1 });
+        const calls = [];
+        const unwatch = binder.watch("n", collect(calls));
+
+        await binder.set("n", 2);
+        unwatch();
+        await binder.set("n", 3);
+        assert.deepEqual(calls, [[2, 1, "n"]]);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createWindow, text } = require("./setup.js");
+
+const params = {
+    q: { path: "filter.text", default: "", push: false },
+    page: { path: "paging.page", default: 1 },
+    tags: { path: "tags", type: "array", default: [] },
+    open: { path: "open", default: false },
+};
+
+// Returns a scanned binder syncing 'params' with the URL, for a page opened at 'url'.
+const open = async (html, url, options = { params }) => {
+    const window = createWindow(html);
+    window.history.replaceState(null, "", url);
+    const binder = new window.JSBinder({ url: options });
+    await binder.scan();
+    return { window, binder, document: window.document };
+};
+
+describe("url", () => {
+    test("applies typed parameters to state before the first render", async () => {
+        const { document } = await open(`<p>{{paging.page + 1}} {{filter.text}} {{tags.length}} {{open}}</p>`, "/?page=2&q=hello&tags=a,b&open=true");
+        assert.equal(text(document), "3 hello 2 true");
+    });
+
+    test("updates the URL on state changes, keeping other parameters and leaving out defaults", async () => {
+        const { window, binder } = await open("", "/?page=2&other=1");
+        const length = window.history.length;
+
+        await binder.set("paging.page", 3);
+        assert.equal(window.location.search, "?page=3&other=1");
+        assert.equal(window.history.length, length + 1);
+
+        await binder.set("filter.text", "a b");
+        assert.equal(window.location.search, "?page=3&other=1&q=a+b");
+        assert.equal(window.history.length, length + 1);
+
+        await binder.set("paging.page", 1);
+        assert.equal(window.location.search, "?other=1&q=a+b");
+    });
+
+    test("applies the URL on popstate, with defaults for missing and incorrect values", async () => {
+        const { window, binder, document } = await open(`<p>{{paging.page}} {{filter.text}}</p>`, "/?page=2&q=x");
+        window.history.replaceState(null, "", "/?page=abc");
+        window.dispatchEvent(new window.PopStateEvent("popstate"));
+        await binder.settled();
+        assert.equal(text(document), "1 ");
+    });
+
+    test("syncs with the hash in hash mode", async () => {
+        const { window, binder, document } = await open(`<p>{{tab}}</p>`, "/#tab=settings", { mode: "hash", params: { tab: { path: "tab", default: "profile" } } });
+        assert.equal(text(document), "settings");
+        await binder.set("tab", "billing");
+        assert.equal(window.location.hash, "#tab=billing");
+    });
+
+    test("data-link navigates without reloading and applies the link to state", async () => {
+        const { window, binder, document } = await open(`<p>{{paging.page}} {{filter.text}}</p><a href="?page=5&q=x" data-link>Next</a>`, "/?page=2");
+        const links = [];
+        document.body.addEventListener("jsbinder-link", (e) => links.push(e.detail.href));
+
+        document.querySelector("a").click();
+        await binder.settled();
+        assert.equal(text(document), "5 x");
+        assert.equal(window.location.search, "?page=5&q=x");
+        assert.deepEqual(links, ["http://localhost/?page=5&q=x"]);
+    });
+});